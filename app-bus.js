@@ -0,0 +1,96 @@
+/**
+ * App Bus - ناقل الأحداث بين النوافذ
+ * Event bus between every open tab of the app (BroadcastChannel)
+ *
+ * Features:
+ * 1. publish(type, detail) reaches every other open tab, never the sender
+ * 2. subscribe(type, callback) - returns an unsubscribe function
+ * 3. Events: cache-invalidated, trip-submitted, logout, language-changed
+ * 4. localStorage 'storage' event fallback where BroadcastChannel is missing
+ */
+
+const AppBus = {
+    // Configuration
+    config: {
+        CHANNEL: 'ambulance-app',
+        FALLBACK_KEY: 'appBusMessage'
+    },
+
+    EVENTS: ['cache-invalidated', 'trip-submitted', 'logout', 'language-changed'],
+
+    _channel: null,
+    _listeners: {},
+
+    /**
+     * Open the channel (or the storage fallback)
+     */
+    init() {
+        this.EVENTS.forEach(type => { this._listeners[type] = []; });
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this._channel = new BroadcastChannel(this.config.CHANNEL);
+            this._channel.onmessage = (event) => this._dispatch(event.data);
+            return;
+        }
+
+        window.addEventListener('storage', (event) => {
+            if (event.key !== this.config.FALLBACK_KEY || !event.newValue) return;
+            try {
+                this._dispatch(JSON.parse(event.newValue));
+            } catch (e) {
+                console.warn('AppBus: Invalid message', e);
+            }
+        });
+    },
+
+    /**
+     * Send an event to the other tabs
+     */
+    publish(type, detail = {}) {
+        if (!this._listeners[type]) {
+            throw new Error(`AppBus: Unknown event "${type}"`);
+        }
+        const message = { type: type, detail: detail, sentAt: Date.now() };
+
+        try {
+            if (this._channel) {
+                this._channel.postMessage(message);
+            } else {
+                // Writing fires 'storage' in the other tabs; removing keeps the key out of the way
+                localStorage.setItem(this.config.FALLBACK_KEY, JSON.stringify(message));
+                localStorage.removeItem(this.config.FALLBACK_KEY);
+            }
+        } catch (e) {
+            console.warn('AppBus: Failed to publish', type, e);
+        }
+    },
+
+    /**
+     * Listen for an event from the other tabs - callback(detail, message)
+     */
+    subscribe(type, callback) {
+        if (!this._listeners[type]) {
+            throw new Error(`AppBus: Unknown event "${type}"`);
+        }
+        this._listeners[type].push(callback);
+        return () => {
+            this._listeners[type] = this._listeners[type].filter(listener => listener !== callback);
+        };
+    },
+
+    _dispatch(message) {
+        if (!message || !this._listeners[message.type]) return;
+        this._listeners[message.type].forEach(listener => {
+            try {
+                listener(message.detail || {}, message);
+            } catch (e) {
+                console.error(`AppBus: ${message.type} listener failed`, e);
+            }
+        });
+    }
+};
+
+// Initialize at once - session-manager.js and DataCache subscribe while loading
+if (typeof window !== 'undefined') {
+    AppBus.init();
+}
@@ -0,0 +1,263 @@
+/**
+ * App Updater - تحديث التطبيق
+ * User-prompted update flow for new service worker versions
+ *
+ * Features:
+ * 1. Registers sw.js and checks for a new version every 60 seconds
+ * 2. Update banner ("update now / later") instead of a forced reload
+ * 3. Defers the update while a form is dirty or a submission is in flight
+ * 4. skipWaiting handshake only after the user confirms
+ */
+
+const AppUpdater = {
+    // Configuration
+    config: {
+        SW_URL: './sw.js',
+        UPDATE_CHECK_INTERVAL: 60000,     // Check for a new worker every 60 seconds
+        REMIND_LATER_MS: 30 * 60 * 1000,  // "Later" hides the banner for 30 minutes
+        IDLE_CHECK_INTERVAL: 2000         // Poll for a clean form while an update is deferred
+    },
+
+    // State
+    state: {
+        registration: null,
+        hadController: false,
+        updateReady: false,
+        applying: false,
+        deferred: false,
+        inFlight: 0,
+        idleTimer: null,
+        remindTimer: null
+    },
+
+    // UI Elements
+    ui: {
+        banner: null,
+        text: null,
+        updateBtn: null
+    },
+
+    /**
+     * Initialize - register the service worker and watch for updates
+     */
+    init() {
+        if (!('serviceWorker' in navigator)) return;
+
+        this.state.hadController = !!navigator.serviceWorker.controller;
+        this.trackDirtyForms();
+
+        navigator.serviceWorker.register(this.config.SW_URL)
+            .then(reg => {
+                console.log('AppUpdater: Service Worker registered');
+                this.state.registration = reg;
+
+                setInterval(() => reg.update(), this.config.UPDATE_CHECK_INTERVAL);
+
+                // A new version installed on an earlier visit is still waiting
+                if (reg.waiting && navigator.serviceWorker.controller) {
+                    this.onUpdateReady();
+                }
+
+                reg.addEventListener('updatefound', () => {
+                    const newWorker = reg.installing;
+                    console.log('AppUpdater: New Service Worker found, installing...');
+                    newWorker.addEventListener('statechange', () => {
+                        if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
+                            this.onUpdateReady();
+                        }
+                    });
+                });
+            })
+            .catch(err => console.error('AppUpdater: Service Worker registration failed', err));
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            // First install claims the page - nothing to reload
+            if (!this.state.hadController) {
+                this.state.hadController = true;
+                return;
+            }
+            if (this.state.applying) {
+                window.location.reload();
+                return;
+            }
+            // Another tab confirmed the update - this page still runs the old code
+            this.onUpdateReady();
+        });
+    },
+
+    isAr() {
+        return (localStorage.getItem('appLanguage') || 'ar') === 'ar';
+    },
+
+    t(ar, en) {
+        return this.isAr() ? ar : en;
+    },
+
+    /**
+     * Mark forms as dirty on user input; reset() marks them clean again
+     */
+    trackDirtyForms() {
+        const markDirty = (event) => {
+            const form = event.isTrusted && event.target.closest ? event.target.closest('form') : null;
+            if (form) form.dataset.dirty = '1';
+        };
+        document.addEventListener('input', markDirty, true);
+        document.addEventListener('change', markDirty, true);
+        document.addEventListener('reset', (event) => {
+            if (event.target.dataset) delete event.target.dataset.dirty;
+        }, true);
+    },
+
+    /**
+     * Track a submission so the update waits for it to settle
+     */
+    track(promise) {
+        this.state.inFlight++;
+        const settle = () => {
+            this.state.inFlight = Math.max(0, this.state.inFlight - 1);
+        };
+        promise.then(settle, settle);
+        return promise;
+    },
+
+    /**
+     * A visible dirty form or a submission in flight blocks the update
+     */
+    isBusy() {
+        if (this.state.inFlight > 0) return true;
+        return Array.from(document.querySelectorAll('form[data-dirty]'))
+            .some(form => form.offsetParent !== null);
+    },
+
+    onUpdateReady() {
+        if (this.state.updateReady) return;
+        console.log('AppUpdater: New version available');
+        this.state.updateReady = true;
+        this.showBanner();
+    },
+
+    /**
+     * Create banner UI (once) and show it
+     */
+    showBanner() {
+        if (!this.ui.banner) this.createBanner();
+        this.ui.banner.style.direction = this.isAr() ? 'rtl' : 'ltr';
+        this.ui.banner.querySelector('[data-role="later"]').textContent = this.t('لاحقاً', 'Later');
+        this.renderBanner();
+        this.ui.banner.style.display = 'flex';
+    },
+
+    hideBanner() {
+        if (this.ui.banner) this.ui.banner.style.display = 'none';
+    },
+
+    renderBanner() {
+        if (this.state.deferred) {
+            this.ui.text.textContent = this.t(
+                'سيتم التحديث بعد حفظ النموذج وانتهاء الإرسال',
+                'The update will run once the form is saved and sending has finished'
+            );
+            this.ui.updateBtn.style.display = 'none';
+        } else {
+            this.ui.text.textContent = this.t('يتوفر إصدار جديد من التطبيق', 'A new version of the app is available');
+            this.ui.updateBtn.textContent = this.t('تحديث الآن', 'Update now');
+            this.ui.updateBtn.style.display = '';
+        }
+    },
+
+    createBanner() {
+        const banner = document.createElement('div');
+        banner.id = 'app-update-banner';
+        banner.style.cssText = `
+            position: fixed;
+            top: 12px;
+            left: 50%;
+            transform: translateX(-50%);
+            width: 480px;
+            max-width: calc(100vw - 24px);
+            display: none;
+            align-items: center;
+            gap: 10px;
+            padding: 10px 14px;
+            background: #1e40af;
+            color: white;
+            border-radius: 12px;
+            box-shadow: 0 10px 40px rgba(0,0,0,0.25);
+            z-index: 99999;
+            font-size: 13px;
+        `;
+
+        const buttonStyle = 'border:none;border-radius:6px;padding:6px 12px;font-size:12px;font-weight:600;cursor:pointer;font-family:inherit;white-space:nowrap;';
+        banner.innerHTML = `
+            <span style="font-size:18px;">⟳</span>
+            <span data-role="text" style="flex:1;"></span>
+            <button data-role="update" style="${buttonStyle}background:white;color:#1e40af;"></button>
+            <button data-role="later" style="${buttonStyle}background:rgba(255,255,255,0.15);color:white;"></button>
+        `;
+
+        document.body.appendChild(banner);
+
+        this.ui.banner = banner;
+        this.ui.text = banner.querySelector('[data-role="text"]');
+        this.ui.updateBtn = banner.querySelector('[data-role="update"]');
+
+        this.ui.updateBtn.addEventListener('click', () => this.requestUpdate());
+        banner.querySelector('[data-role="later"]').addEventListener('click', () => this.remindLater());
+    },
+
+    /**
+     * "Update now" - apply immediately, or once the page is idle
+     */
+    requestUpdate() {
+        if (!this.isBusy()) {
+            this.applyUpdate();
+            return;
+        }
+
+        this.state.deferred = true;
+        this.renderBanner();
+        clearInterval(this.state.idleTimer);
+        this.state.idleTimer = setInterval(() => {
+            if (!this.isBusy()) {
+                clearInterval(this.state.idleTimer);
+                this.applyUpdate();
+            }
+        }, this.config.IDLE_CHECK_INTERVAL);
+    },
+
+    /**
+     * "Later" - cancel a deferred update and ask again after REMIND_LATER_MS
+     */
+    remindLater() {
+        clearInterval(this.state.idleTimer);
+        this.state.deferred = false;
+        this.hideBanner();
+        clearTimeout(this.state.remindTimer);
+        this.state.remindTimer = setTimeout(() => this.showBanner(), this.config.REMIND_LATER_MS);
+    },
+
+    /**
+     * skipWaiting handshake - the page reloads on controllerchange
+     */
+    applyUpdate() {
+        const waiting = this.state.registration && this.state.registration.waiting;
+        this.state.applying = true;
+        this.hideBanner();
+
+        if (waiting) {
+            waiting.postMessage({ type: 'SKIP_WAITING' });
+        } else {
+            // Already activated from another tab
+            window.location.reload();
+        }
+    }
+};
+
+// Auto-initialize
+if (typeof window !== 'undefined') {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => AppUpdater.init());
+    } else {
+        AppUpdater.init();
+    }
+}
@@ -0,0 +1,217 @@
+/**
+ * Circuit Breaker - قاطع الاتصال بالخادم
+ * Shared backend circuit breaker for every module that talks to WEB_APP_URL
+ *
+ * Used by RequestOptimizer, DataCache (through RequestOptimizer) and
+ * OfflineOutbox, in the pages and in the service worker.
+ *
+ * Features:
+ * 1. Opens after repeated server failures (5xx, 408, 429, timeouts, network errors while online)
+ * 2. Honours Retry-After on 429 / 503 and server-declared retryAfter in the JSON body
+ * 3. Blocks every request while open; one probe request closes it again
+ * 4. Exponential, jittered open period
+ * 5. Subscribe API for the connection indicator
+ */
+
+const CircuitBreaker = {
+    // Configuration
+    config: {
+        FAILURE_THRESHOLD: 5,             // Consecutive server failures before opening
+        OPEN_MS: 30000,                   // First open period
+        MAX_OPEN_MS: 5 * 60 * 1000,       // Longest open period without Retry-After
+        MAX_RETRY_AFTER_MS: 30 * 60 * 1000,
+        PROBE_TIMEOUT_MS: 30000           // A probe that never reports back frees the slot
+    },
+
+    // State
+    state: {
+        status: 'closed',                 // closed, open, half-open
+        failures: 0,
+        trips: 0,                         // Consecutive openings - grows the open period
+        retryAt: 0,
+        reason: '',
+        probeUrl: null,
+        probeStartedAt: 0,
+        timer: null
+    },
+
+    _listeners: [],
+
+    /**
+     * May a request go out now? While half-open exactly one request
+     * (the probe) is let through; its result closes or reopens the circuit.
+     */
+    canRequest() {
+        const now = Date.now();
+        if (this.state.status === 'closed') return true;
+
+        if (this.state.status === 'open') {
+            if (now < this.state.retryAt) return false;
+            this._setStatus('half-open');
+            this.state.probeStartedAt = now;
+            return true;
+        }
+
+        // half-open - allow a new probe if the last one never reported
+        if (now - this.state.probeStartedAt > this.config.PROBE_TIMEOUT_MS) {
+            this.state.probeStartedAt = now;
+            return true;
+        }
+        return false;
+    },
+
+    isOpen() {
+        return this.state.status !== 'closed';
+    },
+
+    /**
+     * Milliseconds until the next probe
+     */
+    remaining() {
+        return Math.max(0, this.state.retryAt - Date.now());
+    },
+
+    recordSuccess() {
+        const wasOpen = this.isOpen();
+        this.state.failures = 0;
+        this.state.trips = 0;
+        if (!wasOpen) return;
+
+        clearTimeout(this.state.timer);
+        this.state.retryAt = 0;
+        this.state.reason = '';
+        console.log('CircuitBreaker: Backend reachable again - circuit closed');
+        this._setStatus('closed');
+    },
+
+    /**
+     * Count a failed request. Client errors (4xx) and cancellations do not count.
+     */
+    recordFailure(error, url) {
+        if (!this.isServerFailure(error)) return;
+        if (url) this.state.probeUrl = url;
+
+        const reason = String((error && error.message) || error || 'Server unavailable');
+
+        // The server told us how long to wait
+        if (error && error.retryAfter) {
+            this.open(Math.min(error.retryAfter, this.config.MAX_RETRY_AFTER_MS), reason);
+            return;
+        }
+
+        this.state.failures++;
+        if (this.state.status === 'half-open' || this.state.failures >= this.config.FAILURE_THRESHOLD) {
+            this.open(this.openDelay(), reason);
+        }
+    },
+
+    isServerFailure(error) {
+        if (!error || error.name === 'AbortError') return false;
+        if (error.retryAfter || error.transient) return true;
+        if (error.status) {
+            return error.status >= 500 || error.status === 408 || error.status === 429;
+        }
+        // Network error or timeout - only the backend's fault while the device is online
+        return typeof navigator === 'undefined' || navigator.onLine !== false;
+    },
+
+    /**
+     * Exponential open period with ±25% jitter
+     */
+    openDelay() {
+        const base = Math.min(
+            this.config.OPEN_MS * Math.pow(2, this.state.trips),
+            this.config.MAX_OPEN_MS
+        );
+        return Math.round(base * (0.75 + Math.random() * 0.5));
+    },
+
+    open(delay, reason) {
+        clearTimeout(this.state.timer);
+        this.state.trips++;
+        this.state.failures = 0;
+        this.state.retryAt = Date.now() + delay;
+        this.state.reason = reason;
+        console.warn(`CircuitBreaker: Circuit open for ${Math.round(delay / 1000)}s - ${reason}`);
+        this._setStatus('open');
+
+        // Pages probe on their own so the indicator recovers without user traffic
+        if (typeof window !== 'undefined') {
+            this.state.timer = setTimeout(() => this.probe(), delay);
+        }
+    },
+
+    /**
+     * Probe the backend once the open period is over.
+     * Any answer from the server (even an unknown-action error) means it is reachable.
+     */
+    async probe() {
+        if (!this.state.probeUrl || !this.canRequest()) return;
+
+        const url = new URL(this.state.probeUrl);
+        url.search = '?action=ping';
+        try {
+            const response = await fetch(url.href, { cache: 'no-store' });
+            if (response.ok || response.type === 'opaque') {
+                this.recordSuccess();
+            } else {
+                const error = new Error(`HTTP ${response.status}`);
+                error.status = response.status;
+                error.retryAfter = this.retryAfterMs(response);
+                this.recordFailure(error);
+            }
+        } catch (error) {
+            this.recordFailure(error);
+        }
+    },
+
+    /**
+     * Retry-After header in milliseconds (seconds or HTTP date), 0 if absent
+     */
+    retryAfterMs(response) {
+        const value = response && response.headers && response.headers.get('Retry-After');
+        if (!value) return 0;
+
+        const seconds = Number(value);
+        if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+        const date = Date.parse(value);
+        return isNaN(date) ? 0 : Math.max(0, date - Date.now());
+    },
+
+    /**
+     * Subscribe to status changes - callback({ status, retryAt, reason })
+     */
+    subscribe(callback) {
+        this._listeners.push(callback);
+        return () => {
+            this._listeners = this._listeners.filter(listener => listener !== callback);
+        };
+    },
+
+    _setStatus(status) {
+        this.state.status = status;
+        const snapshot = {
+            status: status,
+            retryAt: this.state.retryAt,
+            reason: this.state.reason
+        };
+        this._listeners.forEach(listener => {
+            try {
+                listener(snapshot);
+            } catch (e) {
+                console.error('CircuitBreaker: Listener failed', e);
+            }
+        });
+    }
+};
+
+// Probe right away when the device comes back online
+if (typeof window !== 'undefined') {
+    window.addEventListener('online', () => {
+        if (CircuitBreaker.state.status === 'open') {
+            CircuitBreaker.state.retryAt = Date.now();
+            CircuitBreaker.probe();
+        }
+    });
+}
@@ -3,21 +3,27 @@
  * Real-time connection quality monitoring and adaptive behavior
  * 
  * Features:
- * 1. Real-time connection quality detection
+ * 1. Real-time connection quality detection (timed same-origin probe requests)
  * 2. Visual connection indicator
  * 3. Adaptive timeout adjustments
  * 4. Offline mode detection
- * 5. Bandwidth estimation
+ * 5. Bandwidth estimation from the bytes of a larger probe file
+ * 6. Outbox size in the tooltip, outbox inspector on click
+ * 7. Open backend circuit (CircuitBreaker) shown in the indicator
+ * 8. Single connectivity source for every module - subscribe('online' | 'offline' | 'quality-changed')
+ * 9. Every check stored in SyncHealth (7 days); the tooltip opens the timeline chart
  */
 
 const ConnectionMonitor = {
     // State
     state: {
-        isOnline: navigator.onLine,
-        quality: 'unknown', // excellent, good, fair, poor, offline
+        isOnline: navigator.onLine, // browser online AND the last probe got through
+        quality: 'unknown', // excellent, good, fair, poor, offline, unknown
         bandwidth: 0, // estimated Mbps
         latency: 0, // ms
         lastCheck: 0,
+        lastBandwidthCheck: 0,
+        queued: 0, // requests waiting in the OfflineOutbox
         history: []
     },
 
@@ -25,6 +31,11 @@ const ConnectionMonitor = {
     config: {
         CHECK_INTERVAL: 30000, // Check every 30 seconds
         HISTORY_SIZE: 10,
+        // Probes bypass the service worker and HTTP caches (__probe query)
+        LATENCY_PROBE_URL: './icon-48x48.png',        // ~2 KB
+        BANDWIDTH_PROBE_URL: './icon-512x512.png',    // ~40 KB
+        BANDWIDTH_INTERVAL: 5 * 60 * 1000,            // Spare metered links - every 5 minutes
+        PROBE_TIMEOUT: 10000,
         LATENCY_EXCELLENT: 100,
         LATENCY_GOOD: 300,
         LATENCY_FAIR: 800,
@@ -37,6 +48,12 @@ const ConnectionMonitor = {
         tooltip: null
     },
 
+    _listeners: {
+        'online': [],
+        'offline': [],
+        'quality-changed': []
+    },
+
     /**
      * Initialize connection monitor
      */
@@ -44,6 +61,10 @@ const ConnectionMonitor = {
         this.setupEventListeners();
         this.createIndicator();
         this.checkConnection();
+
+        if (typeof CircuitBreaker !== 'undefined') {
+            CircuitBreaker.subscribe(() => this.updateIndicator());
+        }
         
         // Periodic checks
         setInterval(() => this.checkConnection(), this.config.CHECK_INTERVAL);
@@ -62,16 +83,61 @@ const ConnectionMonitor = {
     setupEventListeners() {
         window.addEventListener('online', () => {
             console.log('ConnectionMonitor: Online');
-            this.state.isOnline = true;
+            this.setOnline(true);
             this.checkConnection();
             this.updateIndicator();
         });
 
         window.addEventListener('offline', () => {
             console.log('ConnectionMonitor: Offline');
-            this.state.isOnline = false;
-            this.state.quality = 'offline';
+            this.setOnline(false);
+            this.setQuality('offline');
             this.updateIndicator();
+            this.recordSample();
+        });
+    },
+
+    /**
+     * Subscribe to connectivity events:
+     *   'online' / 'offline'  - effective reachability changed
+     *   'quality-changed'     - { quality, previous, latency, bandwidth }
+     * Returns an unsubscribe function.
+     */
+    subscribe(event, callback) {
+        if (!this._listeners[event]) {
+            throw new Error(`ConnectionMonitor: Unknown event "${event}"`);
+        }
+        this._listeners[event].push(callback);
+        return () => {
+            this._listeners[event] = this._listeners[event].filter(listener => listener !== callback);
+        };
+    },
+
+    _emit(event, detail) {
+        this._listeners[event].forEach(listener => {
+            try {
+                listener(detail);
+            } catch (e) {
+                console.error(`ConnectionMonitor: ${event} listener failed`, e);
+            }
+        });
+    },
+
+    setOnline(isOnline) {
+        if (this.state.isOnline === isOnline) return;
+        this.state.isOnline = isOnline;
+        this._emit(isOnline ? 'online' : 'offline', this.getInfo());
+    },
+
+    setQuality(quality) {
+        const previous = this.state.quality;
+        if (previous === quality) return;
+        this.state.quality = quality;
+        this._emit('quality-changed', {
+            quality: quality,
+            previous: previous,
+            latency: this.state.latency,
+            bandwidth: this.state.bandwidth
         });
     },
 
@@ -79,43 +145,45 @@ const ConnectionMonitor = {
      * Check connection quality
      */
     async checkConnection() {
+        await this.refreshQueued();
+
         if (!navigator.onLine) {
-            this.state.quality = 'offline';
             this.state.latency = 0;
+            this.setOnline(false);
+            this.setQuality('offline');
             this.updateIndicator();
+            this.recordSample();
             return;
         }
 
         try {
-            const start = performance.now();
-            
-            // Use a small test request
-            const response = await fetch('data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', {
-                method: 'GET',
-                cache: 'no-cache'
-            });
-
-            const latency = performance.now() - start;
+            const { latency } = await this.probe(this.config.LATENCY_PROBE_URL);
             this.state.latency = Math.round(latency);
             this.state.lastCheck = Date.now();
 
+            if (Date.now() - this.state.lastBandwidthCheck > this.config.BANDWIDTH_INTERVAL) {
+                await this.measureBandwidth();
+            }
+
             // Determine quality based on latency
+            let quality;
             if (latency < this.config.LATENCY_EXCELLENT) {
-                this.state.quality = 'excellent';
+                quality = 'excellent';
             } else if (latency < this.config.LATENCY_GOOD) {
-                this.state.quality = 'good';
+                quality = 'good';
             } else if (latency < this.config.LATENCY_FAIR) {
-                this.state.quality = 'fair';
-            } else if (latency < this.config.LATENCY_POOR) {
-                this.state.quality = 'poor';
+                quality = 'fair';
             } else {
-                this.state.quality = 'poor';
+                quality = 'poor';
             }
+            this.setOnline(true);
+            this.setQuality(quality);
 
             // Add to history
             this.state.history.push({
                 timestamp: Date.now(),
                 latency: latency,
+                bandwidth: this.state.bandwidth,
                 quality: this.state.quality
             });
 
@@ -125,11 +193,79 @@ const ConnectionMonitor = {
             }
 
             this.updateIndicator();
+            this.recordSample();
 
         } catch (error) {
             console.error('ConnectionMonitor: Check failed', error);
-            this.state.quality = 'poor';
+            this.state.latency = 0;
+            if (error.status) {
+                // The server answered - reachable, but the probe file is unusable
+                this.setOnline(true);
+                this.setQuality('unknown');
+            } else if (error.name === 'AbortError') {
+                // Probe timed out - still connected, barely
+                this.setQuality('poor');
+            } else {
+                // Online according to the browser, but nothing gets through
+                this.setOnline(false);
+                this.setQuality('offline');
+            }
             this.updateIndicator();
+            this.recordSample();
+        }
+    },
+
+    /**
+     * Store the current state in the 7-day SyncHealth log
+     */
+    recordSample() {
+        if (typeof SyncHealth !== 'undefined') {
+            SyncHealth.recordSample(this.getInfo());
+        }
+    },
+
+    /**
+     * Fetch a same-origin file over the network and time it.
+     * latency = time to response headers, duration = time to the last byte.
+     */
+    async probe(url) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.config.PROBE_TIMEOUT);
+        const probeUrl = `${url}?__probe=${Date.now()}`;
+
+        try {
+            const start = performance.now();
+            const response = await fetch(probeUrl, {
+                cache: 'no-store',
+                signal: controller.signal
+            });
+            const latency = performance.now() - start;
+
+            if (!response.ok) {
+                const error = new Error(`Probe failed: HTTP ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+
+            const bytes = (await response.arrayBuffer()).byteLength;
+            const duration = performance.now() - start;
+            return { latency, duration, bytes };
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    },
+
+    /**
+     * Estimate throughput (Mbps) from the body transfer time of the larger probe
+     */
+    async measureBandwidth() {
+        try {
+            const { latency, duration, bytes } = await this.probe(this.config.BANDWIDTH_PROBE_URL);
+            const transferSeconds = Math.max(duration - latency, 1) / 1000;
+            this.state.bandwidth = Math.round((bytes * 8 / transferSeconds / 1e6) * 100) / 100;
+            this.state.lastBandwidthCheck = Date.now();
+        } catch (error) {
+            console.warn('ConnectionMonitor: Bandwidth probe failed', error.message);
         }
     },
 
@@ -171,6 +307,7 @@ const ConnectionMonitor = {
             z-index: 99999;
             opacity: 0;
             pointer-events: none;
+            cursor: pointer;
             transition: opacity 0.2s;
             direction: rtl;
         `;
@@ -181,21 +318,53 @@ const ConnectionMonitor = {
         this.ui.indicator = indicator;
         this.ui.tooltip = tooltip;
 
-        // Show tooltip on hover
-        indicator.addEventListener('mouseenter', () => {
+        // Show tooltip on hover - it stays open while the pointer moves onto it
+        let hideTimer = null;
+        const showTooltip = () => {
+            clearTimeout(hideTimer);
             tooltip.style.opacity = '1';
+            tooltip.style.pointerEvents = 'auto';
+        };
+        const hideTooltip = () => {
+            hideTimer = setTimeout(() => {
+                tooltip.style.opacity = '0';
+                tooltip.style.pointerEvents = 'none';
+            }, 300);
+        };
+        indicator.addEventListener('mouseenter', showTooltip);
+        indicator.addEventListener('mouseleave', hideTooltip);
+        tooltip.addEventListener('mouseenter', showTooltip);
+        tooltip.addEventListener('mouseleave', hideTooltip);
+
+        // Click the tooltip to open the connection timeline
+        tooltip.addEventListener('click', () => {
+            if (typeof HealthTimeline !== 'undefined') {
+                HealthTimeline.toggle();
+            }
         });
 
-        indicator.addEventListener('mouseleave', () => {
-            tooltip.style.opacity = '0';
-        });
-
-        // Click to check connection
+        // Click to check connection and open the outbox inspector
         indicator.addEventListener('click', () => {
             this.checkConnection();
+            if (typeof OutboxInspector !== 'undefined') {
+                OutboxInspector.toggle();
+            }
         });
     },
 
+    /**
+     * Refresh the number of requests waiting in the outbox
+     */
+    async refreshQueued() {
+        if (typeof OfflineOutbox === 'undefined') return;
+        try {
+            this.state.queued = await OfflineOutbox.count();
+            this.updateIndicator();
+        } catch (e) {
+            console.error('ConnectionMonitor: Failed to read outbox', e);
+        }
+    },
+
     /**
      * Update indicator based on connection quality
      */
@@ -220,13 +389,15 @@ const ConnectionMonitor = {
             unknown: 'غير معروف'
         };
 
-        const color = colors[this.state.quality] || colors.unknown;
-        const label = labels[this.state.quality] || labels.unknown;
+        // Backend down overrides the network grade - requests are on hold
+        const circuitOpen = typeof CircuitBreaker !== 'undefined' && CircuitBreaker.isOpen();
+        const color = circuitOpen ? '#991b1b' : (colors[this.state.quality] || colors.unknown);
+        const label = circuitOpen ? 'الخادم غير متاح' : (labels[this.state.quality] || labels.unknown);
 
         this.ui.indicator.style.background = color;
         
         // Pulse animation for poor connection
-        if (this.state.quality === 'poor' || this.state.quality === 'offline') {
+        if (circuitOpen || this.state.quality === 'poor' || this.state.quality === 'offline') {
             this.ui.indicator.style.animation = 'pulse 2s infinite';
             
             // Add animation if not exists
@@ -254,6 +425,18 @@ const ConnectionMonitor = {
         if (this.state.latency > 0) {
             tooltipText += ` (${this.state.latency}ms)`;
         }
+        if (this.state.bandwidth > 0 && !circuitOpen) {
+            tooltipText += ` • ${this.state.bandwidth} Mbps`;
+        }
+        if (circuitOpen) {
+            tooltipText += ` • إعادة المحاولة خلال ${Math.ceil(CircuitBreaker.remaining() / 1000)}ث`;
+        }
+        if (this.state.queued > 0) {
+            tooltipText += ` • بانتظار المزامنة: ${this.state.queued}`;
+        }
+        if (typeof HealthTimeline !== 'undefined') {
+            tooltipText += ' • 📈 السجل';
+        }
         this.ui.tooltip.textContent = tooltipText;
     },
 
@@ -264,6 +447,13 @@ const ConnectionMonitor = {
         return this.state.quality;
     },
 
+    /**
+     * Effective reachability - navigator.onLine can be true with no route out
+     */
+    isOnline() {
+        return this.state.isOnline;
+    },
+
     /**
      * Get adaptive timeout based on connection quality
      */
@@ -296,7 +486,10 @@ const ConnectionMonitor = {
             isOnline: this.state.isOnline,
             quality: this.state.quality,
             latency: this.state.latency,
+            bandwidth: this.state.bandwidth,
             lastCheck: this.state.lastCheck,
+            circuit: typeof CircuitBreaker !== 'undefined' ? CircuitBreaker.state.status : 'closed',
+            queued: this.state.queued,
             history: this.state.history
         };
     }
@@ -6,6 +6,24 @@
  * 1. Show cached data instantly on page load (0ms delay)
  * 2. Fetch fresh data from server in background
  * 3. Update UI only if data has changed
+ *
+ * Storage: IndexedDB (AmbulanceCacheDB), gzip-compressed with
+ * CompressionStream, per-key quotas and LRU eviction
+ *
+ * Delta sync: a cached copy that came with a server `revision` is refreshed
+ * with &since=<revision>. The server answers with the full payload (plus
+ * `revision`) or only what changed:
+ *   { success: true, delta: true, revision,
+ *     changes: { <list>: { changed: [rows], deleted: [ids] } },
+ *     ...other fields (stats, trips) in full }
+ * and the rows are merged into the cached lists by record ID.
+ *
+ * Change detection: FastHash fingerprints (per record and overall) computed
+ * in hash-worker.js; onData receives the added / updated / removed record IDs
+ * so pages can re-render only those rows.
+ *
+ * Cross-tab: invalidations are published on AppBus ('cache-invalidated'),
+ * so the other open tabs drop their in-memory copies as well.
  */
 
 const DataCache = {
@@ -37,144 +55,518 @@ const DataCache = {
         NURSES: 60 * 60 * 1000            // 60 minutes (rarely changes)
     },
 
-    // Max cache size (5MB per entry)
-    MAX_CACHE_SIZE: 5 * 1024 * 1024,
+    // Lists merged by ID on delta responses: list field -> ID field.
+    // For a cached array the single entry names the list the server sends it in.
+    DELTA: {
+        RECORDS: { data: 'ID' },          // getAllRecords -> result.data
+        ADMIN_DATA: { records: 'ID' }     // getAdminData -> records (trips and stats come in full)
+    },
+
+    // Response fields that describe the delta itself, not cached data
+    DELTA_FIELDS: ['success', 'delta', 'revision', 'changes'],
+
+    // Storage quotas (compressed bytes)
+    QUOTA: {
+        TOTAL: 20 * 1024 * 1024,          // All entries together - LRU eviction above this
+        DEFAULT: 1 * 1024 * 1024,         // Per entry unless listed below
+        // Per key prefix - a year of records on the nurse and admin pages
+        KEYS: {
+            cache_records: 8 * 1024 * 1024,
+            cache_admin_data: 8 * 1024 * 1024
+        }
+    },
+
+    // IndexedDB storage: 'entries' holds the compressed data, 'meta' the
+    // size and access time used for LRU (touched without rewriting the data)
+    DB_NAME: 'AmbulanceCacheDB',
+    DB_VERSION: 1,
+    LEGACY_PREFIX: 'cache_',
+
+    // Fingerprints run in a worker so large payloads do not block the page
+    HASH_WORKER_URL: 'hash-worker.js',
+
+    _db: null,
+    _memory: new Map(),                   // key -> { data, timestamp, fingerprint } for synchronous get()
+    _queue: Promise.resolve(),            // IndexedDB writes run one after another
+    _hashWorker: null,                    // Worker, or false when it cannot be used
+    _hashJobs: new Map(),
+    _hashSeq: 0,
 
     /**
-     * Simple compression using JSON stringification optimization
+     * Open (once) the cache database and drop the old localStorage entries
      */
-    compress(data) {
-        try {
-            const str = JSON.stringify(data);
-            // Check size
-            if (str.length > this.MAX_CACHE_SIZE) {
-                console.warn('DataCache: Data too large, truncating');
-                // If array, keep only recent items
-                if (Array.isArray(data)) {
-                    return data.slice(0, Math.floor(data.length / 2));
+    open() {
+        if (this._db) return this._db;
+
+        this._dropLegacy();
+        this._db = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const db = request.result;
+                // Logout deletes the database - let it through
+                db.onversionchange = () => {
+                    db.close();
+                    this._db = null;
+                };
+                resolve(db);
+            };
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                if (!db.objectStoreNames.contains('entries')) {
+                    db.createObjectStore('entries', { keyPath: 'key' });
+                }
+                if (!db.objectStoreNames.contains('meta')) {
+                    db.createObjectStore('meta', { keyPath: 'key' }).createIndex('lastAccess', 'lastAccess');
                 }
+            };
+        });
+
+        this._db.catch(() => { this._db = null; });
+        return this._db;
+    },
+
+    /**
+     * Run work inside one transaction, resolves with ctx.result on commit
+     */
+    async _withTx(storeNames, mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const ctx = { result: undefined };
+            tx.oncomplete = () => resolve(ctx.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Cache transaction aborted'));
+            work(tx, ctx);
+        });
+    },
+
+    /**
+     * Queue an IndexedDB write behind the ones already running
+     */
+    _enqueue(task) {
+        const run = this._queue.then(task);
+        this._queue = run.catch(e => console.warn('DataCache: Storage write failed', e));
+        return run;
+    },
+
+    /**
+     * The localStorage cache (up to this version) is only a cache - free the space
+     */
+    _dropLegacy() {
+        const keysToRemove = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(this.LEGACY_PREFIX)) {
+                keysToRemove.push(key);
             }
-            return data;
-        } catch (e) {
-            return data;
         }
+        keysToRemove.forEach(key => localStorage.removeItem(key));
     },
 
     /**
-     * Save data to localStorage cache with timestamp
+     * Compressed size limit for one key
      */
-    set(key, data) {
-        try {
-            const compressed = this.compress(data);
-            const entry = {
-                data: compressed,
-                timestamp: Date.now(),
-                size: JSON.stringify(compressed).length
-            };
-            localStorage.setItem(key, JSON.stringify(entry));
-        } catch (e) {
-            console.warn('DataCache: Storage full, clearing old cache');
-            this.clearOldest();
-            try {
-                const compressed = this.compress(data);
-                localStorage.setItem(key, JSON.stringify({ 
-                    data: compressed, 
-                    timestamp: Date.now(),
-                    size: JSON.stringify(compressed).length
-                }));
-            } catch (e2) {
-                console.error('DataCache: Cannot save to storage');
+    quotaFor(key) {
+        const prefix = Object.keys(this.QUOTA.KEYS).find(name => key.startsWith(name));
+        return prefix ? this.QUOTA.KEYS[prefix] : this.QUOTA.DEFAULT;
+    },
+
+    /**
+     * gzip the JSON with CompressionStream (plain JSON where it is missing)
+     * Returns { body, encoding, size }
+     */
+    async compress(data) {
+        const json = JSON.stringify(data);
+        if (typeof CompressionStream === 'undefined') {
+            return { body: json, encoding: 'json', size: json.length * 2 };
+        }
+        const stream = new Blob([json]).stream().pipeThrough(new CompressionStream('gzip'));
+        const body = await new Response(stream).arrayBuffer();
+        return { body: body, encoding: 'gzip', size: body.byteLength };
+    },
+
+    async decompress(entry) {
+        if (entry.encoding !== 'gzip') return JSON.parse(entry.body);
+        const stream = new Blob([entry.body]).stream().pipeThrough(new DecompressionStream('gzip'));
+        return JSON.parse(await new Response(stream).text());
+    },
+
+    /**
+     * Save data with timestamp - available to get() at once, written to
+     * IndexedDB in the background. Resolves when stored.
+     */
+    set(key, data, meta = {}) {
+        const timestamp = Date.now();
+        const revision = meta.revision || null;
+        const source = meta.source || null;
+        this._memory.set(key, {
+            data: data,
+            timestamp: timestamp,
+            revision: revision,
+            source: source,
+            fingerprint: meta.fingerprint || null
+        });
+
+        return this._enqueue(async () => {
+            const packed = await this.compress(data);
+            const quota = this.quotaFor(key);
+            if (packed.size > quota) {
+                // Too big to keep - this page still has it in memory
+                console.warn(`DataCache: ${key} is ${Math.round(packed.size / 1024)} KB compressed, over its ${Math.round(quota / 1024)} KB quota - not stored`);
+                await this._delete(key);
+                return;
             }
+
+            await this._withTx(['entries', 'meta'], 'readwrite', (tx) => {
+                tx.objectStore('entries').put({ key: key, body: packed.body, encoding: packed.encoding });
+                tx.objectStore('meta').put({
+                    key: key,
+                    size: packed.size,
+                    timestamp: timestamp,
+                    lastAccess: timestamp,
+                    revision: revision,
+                    source: source
+                });
+            });
+            await this.evict(key);
+        });
+    },
+
+    /**
+     * Drop least recently used entries until the total fits QUOTA.TOTAL
+     */
+    async evict(keepKey) {
+        const evicted = await this._withTx(['entries', 'meta'], 'readwrite', (tx, ctx) => {
+            const meta = tx.objectStore('meta');
+            ctx.result = [];
+
+            meta.getAll().onsuccess = (event) => {
+                let total = event.target.result.reduce((sum, entry) => sum + (entry.size || 0), 0);
+                if (total <= this.QUOTA.TOTAL) return;
+
+                meta.index('lastAccess').openCursor().onsuccess = (cursorEvent) => {
+                    const cursor = cursorEvent.target.result;
+                    if (!cursor || total <= this.QUOTA.TOTAL) return;
+                    const entry = cursor.value;
+                    if (entry.key !== keepKey) {
+                        total -= entry.size || 0;
+                        tx.objectStore('entries').delete(entry.key);
+                        cursor.delete();
+                        ctx.result.push(entry.key);
+                    }
+                    cursor.continue();
+                };
+            };
+        });
+
+        if (evicted.length > 0) {
+            evicted.forEach(key => this._memory.delete(key));
+            console.log(`DataCache: Evicted ${evicted.length} least recently used entries`);
         }
     },
 
+    _result(entry, expiryMs) {
+        const age = Date.now() - (entry.timestamp || 0);
+        return {
+            data: entry.data,
+            isExpired: age > (expiryMs || 300000),
+            age: age,
+            timestamp: entry.timestamp,
+            revision: entry.revision || null,
+            source: entry.source || null
+        };
+    },
+
     /**
-     * Get cached data if available and not expired
-     * Returns { data, isExpired, timestamp } or null
+     * Get cached data if it is loaded in this page (set() or load())
+     * Returns { data, isExpired, age, timestamp, revision, source } or null
      */
     get(key, expiryMs) {
+        const entry = this._memory.get(key);
+        if (!entry || !entry.data) return null;
+        this._touch(key);
+        return this._result(entry, expiryMs);
+    },
+
+    /**
+     * Like get(), reading IndexedDB when the entry is not in memory yet
+     */
+    async load(key, expiryMs) {
+        if (this._memory.has(key)) return this.get(key, expiryMs);
+
+        let stored = null;
         try {
-            const raw = localStorage.getItem(key);
-            if (!raw) return null;
-
-            const entry = JSON.parse(raw);
-            if (!entry || !entry.data) return null;
-
-            const age = Date.now() - (entry.timestamp || 0);
-            return {
-                data: entry.data,
-                isExpired: age > (expiryMs || 300000),
-                age: age,
-                timestamp: entry.timestamp
-            };
+            stored = await this._withTx(['entries', 'meta'], 'readonly', (tx, ctx) => {
+                tx.objectStore('meta').get(key).onsuccess = (event) => {
+                    const meta = event.target.result;
+                    if (!meta) return;
+                    tx.objectStore('entries').get(key).onsuccess = (entryEvent) => {
+                        if (entryEvent.target.result) {
+                            ctx.result = { ...entryEvent.target.result, timestamp: meta.timestamp, revision: meta.revision, source: meta.source };
+                        }
+                    };
+                };
+            });
+            if (stored) {
+                stored = {
+                    data: await this.decompress(stored),
+                    timestamp: stored.timestamp,
+                    revision: stored.revision,
+                    source: stored.source
+                };
+            }
         } catch (e) {
+            console.warn('DataCache: Failed to read', key, e);
             return null;
         }
+
+        // A set() while reading wins - it is newer
+        if (stored && !this._memory.has(key)) {
+            this._memory.set(key, stored);
+        }
+        return this.get(key, expiryMs);
+    },
+
+    /**
+     * Record an access for LRU eviction
+     */
+    _touch(key, fields = {}) {
+        return this._enqueue(() => this._withTx('meta', 'readwrite', (tx) => {
+            const meta = tx.objectStore('meta');
+            meta.get(key).onsuccess = (event) => {
+                const entry = event.target.result;
+                if (!entry) return;
+                meta.put({ ...entry, ...fields, lastAccess: Date.now() });
+            };
+        }));
+    },
+
+    /**
+     * Mark an entry as fresh without rewriting its data
+     */
+    touch(key, revision) {
+        const fields = { timestamp: Date.now() };
+        if (revision) fields.revision = revision;
+        const entry = this._memory.get(key);
+        if (entry) Object.assign(entry, fields);
+        return this._touch(key, fields);
+    },
+
+    _delete(key) {
+        return this._withTx(['entries', 'meta'], 'readwrite', (tx) => {
+            tx.objectStore('entries').delete(key);
+            tx.objectStore('meta').delete(key);
+        });
     },
 
     /**
      * Remove a specific cache entry
      */
     remove(key) {
-        localStorage.removeItem(key);
+        this._memory.delete(key);
+        return this._enqueue(() => this._delete(key));
     },
 
     /**
      * Clear all cache entries
      */
     clearAll() {
-        const keysToRemove = [];
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith('cache_')) {
-                keysToRemove.push(key);
-            }
-        }
-        keysToRemove.forEach(key => localStorage.removeItem(key));
+        this._memory.clear();
+        return this._enqueue(() => this._withTx(['entries', 'meta'], 'readwrite', (tx) => {
+            tx.objectStore('entries').clear();
+            tx.objectStore('meta').clear();
+        }));
     },
 
     /**
-     * Clear oldest cache entries to free up space
+     * Generate a simple hash for data comparison (main thread - prefer fingerprint())
      */
-    clearOldest() {
-        const cacheEntries = [];
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith('cache_')) {
-                try {
-                    const entry = JSON.parse(localStorage.getItem(key));
-                    cacheEntries.push({
-                        key: key,
-                        timestamp: entry.timestamp || 0,
-                        size: entry.size || 0
-                    });
-                } catch (e) {
-                    // Invalid entry, remove it
-                    localStorage.removeItem(key);
+    hash(data) {
+        return FastHash.fingerprint(data).hash;
+    },
+
+    /**
+     * Per-record and overall hashes, computed in the hash worker
+     * (on the main thread when workers are unavailable)
+     * @param {object} rowSpec - { list, idField } or null for a single hash
+     * @returns {Promise<{hash: string, rows: Array|null}>}
+     */
+    fingerprint(data, rowSpec) {
+        const worker = this._getHashWorker();
+        if (!worker) return Promise.resolve(FastHash.fingerprint(data, rowSpec));
+
+        const id = ++this._hashSeq;
+        return new Promise((resolve, reject) => {
+            this._hashJobs.set(id, { resolve, reject });
+            worker.postMessage({ id: id, data: data, rowSpec: rowSpec });
+        }).catch(() => FastHash.fingerprint(data, rowSpec));
+    },
+
+    _getHashWorker() {
+        if (this._hashWorker !== null) return this._hashWorker;
+        if (typeof Worker === 'undefined') {
+            this._hashWorker = false;
+            return false;
+        }
+
+        try {
+            const worker = new Worker(this.HASH_WORKER_URL);
+            worker.onmessage = (event) => {
+                const job = this._hashJobs.get(event.data.id);
+                if (!job) return;
+                this._hashJobs.delete(event.data.id);
+                if (event.data.error) {
+                    job.reject(new Error(event.data.error));
+                } else {
+                    job.resolve(event.data.fingerprint);
                 }
-            }
+            };
+            worker.onerror = (event) => {
+                // Script failed to load - hash on the main thread from now on
+                console.warn('DataCache: Hash worker unavailable', event.message);
+                this._hashWorker = false;
+                this._hashJobs.forEach(job => job.reject(new Error('Hash worker failed')));
+                this._hashJobs.clear();
+            };
+            this._hashWorker = worker;
+        } catch (e) {
+            this._hashWorker = false;
         }
+        return this._hashWorker;
+    },
 
-        // Sort by timestamp (oldest first)
-        cacheEntries.sort((a, b) => a.timestamp - b.timestamp);
+    /**
+     * Which list to fingerprint per record - the first list of the delta spec
+     */
+    _rowSpec(delta) {
+        if (!delta) return null;
+        const [list, idField] = Object.entries(delta)[0];
+        return { list: list, idField: idField };
+    },
+
+    /**
+     * Fingerprint of the cached copy, computed once per loaded entry
+     */
+    async _cachedFingerprint(key, cached, rowSpec) {
+        const entry = this._memory.get(key);
+        if (entry && entry.data === cached.data && entry.fingerprint) {
+            return entry.fingerprint;
+        }
+        const fingerprint = await this.fingerprint(cached.data, rowSpec);
+        if (entry && entry.data === cached.data) entry.fingerprint = fingerprint;
+        return fingerprint;
+    },
 
-        // Remove oldest 30% of entries
-        const removeCount = Math.ceil(cacheEntries.length * 0.3);
-        for (let i = 0; i < removeCount; i++) {
-            localStorage.removeItem(cacheEntries[i].key);
+    /**
+     * Background GET - low priority in RequestOptimizer so submissions go first,
+     * and batched with other reads issued within RequestOptimizer's batch window
+     */
+    _request(url) {
+        if (typeof RequestOptimizer !== 'undefined') {
+            return RequestOptimizer.request(url, { priority: 'low', responseType: 'json', batchable: true });
         }
+        return fetch(url).then(r => r.json());
+    },
 
-        console.log(`DataCache: Cleared ${removeCount} oldest entries`);
+    /**
+     * Revision to send as &since=, when the cached copy can take a delta
+     */
+    _deltaBase(url, cached, delta) {
+        if (!delta || !cached || !cached.data || !cached.revision) return null;
+        // Another filter (month, search) was cached under this key - fetch in full
+        return cached.source === url ? cached.revision : null;
     },
 
     /**
-     * Generate a simple hash for data comparison
+     * Merge a delta response into the cached data (never mutates it)
      */
-    hash(data) {
-        return JSON.stringify(data).length + '_' + JSON.stringify(data).split('').reduce((a, b) => {
-            a = ((a << 5) - a) + b.charCodeAt(0);
-            return a & a;
-        }, 0);
+    mergeDelta(base, result, delta) {
+        const changes = result.changes || {};
+        if (Array.isArray(base)) {
+            const [list, idField] = Object.entries(delta)[0];
+            return this._applyChanges(base, changes[list], idField);
+        }
+
+        const merged = { ...base };
+        Object.keys(result).forEach(field => {
+            if (!this.DELTA_FIELDS.includes(field)) merged[field] = result[field];
+        });
+        Object.entries(delta).forEach(([list, idField]) => {
+            merged[list] = this._applyChanges(base[list] || [], changes[list], idField);
+        });
+        return merged;
+    },
+
+    /**
+     * Replace changed rows in place, drop deleted ones, put new rows
+     * first (server lists are newest first)
+     */
+    _applyChanges(rows, change, idField) {
+        if (!change) return rows;
+
+        const deleted = new Set((change.deleted || []).map(String));
+        const changed = new Map((change.changed || []).map(row => [String(row[idField]), row]));
+
+        const kept = rows
+            .filter(row => !deleted.has(String(row[idField])))
+            .map(row => {
+                const id = String(row[idField]);
+                if (!changed.has(id)) return row;
+                const updated = changed.get(id);
+                changed.delete(id);
+                return updated;
+            });
+
+        return Array.from(changed.values()).concat(kept);
+    },
+
+    /**
+     * Fetch fresh data (only the changes when the cache allows a delta) and store it
+     * Resolves with { data, changed, changes } - data is null when the response had none,
+     * changes lists the record IDs that changed (null when unknown)
+     */
+    async _sync(url, cacheKey, cached, extractData, delta) {
+        const since = this._deltaBase(url, cached, delta);
+        const requestUrl = since ? `${url}&since=${encodeURIComponent(since)}` : url;
+
+        if (!this._inflight[requestUrl]) {
+            this._inflight[requestUrl] = this._request(requestUrl);
+        }
+        let result;
+        try {
+            result = await this._inflight[requestUrl];
+        } finally {
+            delete this._inflight[requestUrl];
+        }
+
+        let data;
+        if (result && result.success && result.delta) {
+            data = since ? this.mergeDelta(cached.data, result, delta) : null;
+        } else {
+            data = extractData ? extractData(result) : result;
+        }
+        if (data === null || data === undefined) return { data: null, changed: false, changes: null };
+
+        const revision = result.revision ? String(result.revision) : null;
+        const rowSpec = this._rowSpec(delta);
+        const fingerprint = await this.fingerprint(data, rowSpec);
+        const before = cached && cached.data ? await this._cachedFingerprint(cacheKey, cached, rowSpec) : null;
+
+        const changed = !before || before.hash !== fingerprint.hash;
+        const changes = changed && before && before.rows && fingerprint.rows
+            ? FastHash.diff(before.rows, fingerprint.rows)
+            : null;
+
+        if (changed) {
+            this.set(cacheKey, data, { revision: revision, source: url, fingerprint: fingerprint });
+        } else {
+            // Data unchanged, just update timestamp
+            this.touch(cacheKey, revision);
+        }
+        return { data: data, changed: changed, changes: changes };
     },
 
     /**
@@ -184,43 +576,29 @@ const DataCache = {
      * @param {string} url - Fetch URL
      * @param {string} cacheKey - Cache storage key
      * @param {number} expiryMs - Cache expiry in ms
-     * @param {function} onData - Callback when data is available (called 1-2 times)
+     * @param {function} onData - Callback when data is available (called 1-2 times);
+     *                            meta.changes holds { added, updated, removed, reordered } record IDs when known
      * @param {function} extractData - Function to extract data from response
+     * @param {object} options - { delta: list -> ID field map (DataCache.DELTA) to refresh incrementally }
      * @returns {Promise} - Resolves when background fetch completes
      */
-    async fetchWithCache(url, cacheKey, expiryMs, onData, extractData) {
+    async fetchWithCache(url, cacheKey, expiryMs, onData, extractData, options = {}) {
         // Step 1: Instantly show cached data
-        const cached = this.get(cacheKey, expiryMs);
-        let cachedHash = null;
+        const cached = await this.load(cacheKey, expiryMs);
 
         if (cached && cached.data) {
-            cachedHash = this.hash(cached.data);
             onData(cached.data, { fromCache: true, isExpired: cached.isExpired });
         }
 
         // Step 2: Fetch fresh data in background (with request deduplication)
         try {
-            if (!this._inflight[url]) {
-                this._inflight[url] = fetch(url).then(r => r.json());
-            }
-            const result = await this._inflight[url];
-            delete this._inflight[url];
-            const freshData = extractData ? extractData(result) : result;
+            const fresh = await this._sync(url, cacheKey, cached, extractData, options.delta);
 
-            if (freshData !== null && freshData !== undefined) {
-                const freshHash = this.hash(freshData);
-
-                // Only update UI if data actually changed
-                if (freshHash !== cachedHash) {
-                    this.set(cacheKey, freshData);
-                    onData(freshData, { fromCache: false, isExpired: false });
-                } else {
-                    // Data unchanged, just update timestamp
-                    this.set(cacheKey, freshData);
-                }
+            // Only update UI if data actually changed
+            if (fresh.changed) {
+                onData(fresh.data, { fromCache: false, isExpired: false, changes: fresh.changes });
             }
         } catch (error) {
-            delete this._inflight[url];
             // If no cached data was shown, report the error
             if (!cached || !cached.data) {
                 console.error('DataCache: Fetch failed and no cache available', error);
@@ -233,14 +611,10 @@ const DataCache = {
      * Preload all data for a specific page type
      * Call this as early as possible (before DOM ready)
      */
-    _preloadFetch(url, cacheKey, extractData) {
-        if (!this._inflight[url]) {
-            this._inflight[url] = fetch(url).then(r => r.json());
-        }
-        return this._inflight[url].then(result => {
-            const data = extractData(result);
-            if (data) this.set(cacheKey, data);
-        }).catch(() => {});
+    _preloadFetch(url, cacheKey, extractData, delta) {
+        return this.load(cacheKey)
+            .then(cached => this._sync(url, cacheKey, cached, extractData, delta))
+            .catch(() => {});
     },
 
     preload(webAppUrl, pageType) {
@@ -267,10 +641,12 @@ const DataCache = {
             const year = now.getFullYear().toString();
             const month = String(now.getMonth() + 1);
             const url = `${webAppUrl}?action=getAdminData&year=${year}&month=${month}`;
+            // Same key as the admin page's default filter (current month)
             fetches.push(this._preloadFetch(
                 url,
-                this.KEYS.ADMIN_DATA,
-                r => r.success ? r : null
+                `${this.KEYS.ADMIN_DATA}_${year}_${month}`,
+                r => r.success ? r : null,
+                this.DELTA.ADMIN_DATA
             ));
         }
 
@@ -282,6 +658,15 @@ const DataCache = {
             ));
         }
 
+        // Driver dropdowns come from the staff registry
+        if ((pageType === 'driver' || pageType === 'nurse') && typeof StaffRegistry !== 'undefined') {
+            fetches.push(this._preloadFetch(
+                `${webAppUrl}?action=${StaffRegistry.LISTS.drivers.action}`,
+                this.KEYS.DRIVERS,
+                StaffRegistry.extract('drivers')
+            ));
+        }
+
         return Promise.allSettled(fetches);
     },
 
@@ -291,6 +676,7 @@ const DataCache = {
      */
     invalidate(...keys) {
         keys.forEach(key => this.remove(key));
+        this._publishInvalidation(keys);
     },
 
     /**
@@ -298,5 +684,27 @@ const DataCache = {
      */
     invalidateAll() {
         this.clearAll();
+        this._publishInvalidation('*');
+    },
+
+    _publishInvalidation(keys) {
+        if (typeof AppBus !== 'undefined') {
+            AppBus.publish('cache-invalidated', { keys: keys });
+        }
+    },
+
+    /**
+     * Another tab invalidated - IndexedDB is shared, only the memory copies are stale
+     */
+    _forget(keys) {
+        if (keys === '*') {
+            this._memory.clear();
+        } else {
+            (keys || []).forEach(key => this._memory.delete(key));
+        }
     }
 };
+
+if (typeof AppBus !== 'undefined') {
+    AppBus.subscribe('cache-invalidated', ({ keys }) => DataCache._forget(keys));
+}
@@ -0,0 +1,66 @@
+/**
+ * Fast Hash - بصمة البيانات السريعة
+ * FNV-1a fingerprints for DataCache change detection
+ *
+ * Loaded by the pages and by hash-worker.js (importScripts).
+ *
+ * Features:
+ * 1. FNV-1a 32-bit string hash - one pass with charCodeAt, no temporary arrays
+ * 2. Per-record hashes keyed by record ID
+ * 3. Overall payload hash built from the record hashes
+ * 4. Added / updated / removed record IDs between two fingerprints
+ */
+
+const FastHash = {
+    fnv1a(str) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(36);
+    },
+
+    /**
+     * Fingerprint a payload
+     * @param {*} data - Cached payload
+     * @param {object} rowSpec - { list, idField }: rows are data[list], or data itself when it is an array
+     * @returns {{hash: string, rows: Array|null}} - rows is [[id, hash], ...] in list order
+     */
+    fingerprint(data, rowSpec) {
+        const list = rowSpec ? (Array.isArray(data) ? data : (data && data[rowSpec.list])) : null;
+        if (!Array.isArray(list)) {
+            return { hash: this.fnv1a(JSON.stringify(data) || ''), rows: null };
+        }
+
+        const rows = list.map((row, index) => {
+            const id = row && row[rowSpec.idField] !== undefined ? String(row[rowSpec.idField]) : '#' + index;
+            return [id, this.fnv1a(JSON.stringify(row))];
+        });
+        // Everything next to the rows (stats, trips)
+        const rest = Array.isArray(data) ? '' : JSON.stringify({ ...data, [rowSpec.list]: null });
+        return {
+            hash: this.fnv1a(rest + '|' + rows.map(row => row[0] + ':' + row[1]).join(',')),
+            rows: rows
+        };
+    },
+
+    /**
+     * Record IDs that changed between two fingerprints' rows.
+     * reordered is true when the remaining records changed order.
+     */
+    diff(beforeRows, afterRows) {
+        const before = new Map(beforeRows);
+        const after = new Map(afterRows);
+
+        const added = afterRows.filter(([id]) => !before.has(id)).map(([id]) => id);
+        const removed = beforeRows.filter(([id]) => !after.has(id)).map(([id]) => id);
+        const updated = afterRows.filter(([id, hash]) => before.has(id) && before.get(id) !== hash).map(([id]) => id);
+
+        const keptBefore = beforeRows.filter(([id]) => after.has(id)).map(([id]) => id);
+        const keptAfter = afterRows.filter(([id]) => before.has(id)).map(([id]) => id);
+        const reordered = keptBefore.some((id, index) => keptAfter[index] !== id);
+
+        return { added, updated, removed, reordered };
+    }
+};
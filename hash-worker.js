@@ -0,0 +1,18 @@
+/**
+ * Hash Worker - حساب البصمات في الخلفية
+ * Computes FastHash fingerprints off the main thread for DataCache
+ *
+ * Message in:  { id, data, rowSpec }
+ * Message out: { id, fingerprint } or { id, error }
+ */
+
+importScripts('./fast-hash.js');
+
+self.addEventListener('message', (event) => {
+    const { id, data, rowSpec } = event.data;
+    try {
+        self.postMessage({ id: id, fingerprint: FastHash.fingerprint(data, rowSpec) });
+    } catch (error) {
+        self.postMessage({ id: id, error: error.message });
+    }
+});
@@ -0,0 +1,365 @@
+/**
+ * Health Timeline - مخطط سجل الاتصال
+ * Small timeline chart of the SyncHealth log (last 24 hours or 7 days)
+ *
+ * Opened from the ConnectionMonitor tooltip.
+ *
+ * Features:
+ * 1. Connection strip (online / offline / server unavailable / no data)
+ * 2. Latency line and outbox size bars
+ * 3. Sync markers (synced, retried, dead-lettered) and recent outbox events
+ * 4. Per-device report export for admins
+ */
+
+const HealthTimeline = {
+    // Configuration
+    config: {
+        WIDTH: 340,
+        HEIGHT: 130,
+        MAX_LATENCY: 2000,        // Latency axis is clamped at 2 seconds
+        RECENT_EVENTS: 10,
+        RANGES: {
+            day: { span: 24 * 60 * 60 * 1000, buckets: 48 },      // 30-minute buckets
+            week: { span: 7 * 24 * 60 * 60 * 1000, buckets: 84 }  // 2-hour buckets
+        }
+    },
+
+    // UI Elements
+    ui: {
+        panel: null,
+        body: null
+    },
+
+    range: 'day',
+
+    // Event labels [ar, en]
+    EVENT_LABELS: {
+        queued: ['حُفظ بانتظار المزامنة', 'Queued'],
+        synced: ['تمت المزامنة', 'Synced'],
+        retry: ['فشل - ستتم إعادة المحاولة', 'Failed - will retry'],
+        dead: ['فشل نهائياً', 'Failed permanently']
+    },
+
+    isAr() {
+        return (localStorage.getItem('appLanguage') || 'ar') === 'ar';
+    },
+
+    t(ar, en) {
+        return this.isAr() ? ar : en;
+    },
+
+    /**
+     * Export is for admins investigating a device
+     */
+    canExport() {
+        return typeof SessionManager !== 'undefined' && SessionManager.can('health:export');
+    },
+
+    isOpen() {
+        return !!(this.ui.panel && this.ui.panel.style.display !== 'none');
+    },
+
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    },
+
+    open() {
+        if (!this.ui.panel) this.createPanel();
+        if (typeof OutboxInspector !== 'undefined') OutboxInspector.close();
+        this.ui.panel.style.direction = this.isAr() ? 'rtl' : 'ltr';
+        this.ui.panel.style.display = 'flex';
+        this.refresh();
+    },
+
+    close() {
+        if (this.ui.panel) this.ui.panel.style.display = 'none';
+    },
+
+    /**
+     * Create panel UI (once)
+     */
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'health-timeline';
+        panel.style.cssText = `
+            position: fixed;
+            bottom: 44px;
+            left: 20px;
+            width: 380px;
+            max-width: calc(100vw - 40px);
+            max-height: 70vh;
+            display: none;
+            flex-direction: column;
+            background: white;
+            border-radius: 12px;
+            box-shadow: 0 10px 40px rgba(0,0,0,0.25);
+            z-index: 99999;
+            font-size: 13px;
+            overflow: hidden;
+        `;
+
+        const headerButton = 'background:rgba(255,255,255,0.15);color:white;border:none;border-radius:6px;padding:4px 10px;font-size:12px;cursor:pointer;font-family:inherit;';
+        panel.innerHTML = `
+            <div style="display:flex;align-items:center;gap:6px;padding:12px 14px;background:#1e40af;color:white;">
+                <strong data-role="title" style="flex:1;font-size:14px;"></strong>
+                <button data-range="day" style="${headerButton}"></button>
+                <button data-range="week" style="${headerButton}"></button>
+                <button data-role="export" style="${headerButton}display:none;"></button>
+                <button data-role="close" style="background:none;color:white;border:none;font-size:18px;line-height:1;cursor:pointer;">×</button>
+            </div>
+            <div data-role="body" style="overflow-y:auto;padding:10px 12px;"></div>
+        `;
+
+        document.body.appendChild(panel);
+
+        this.ui.panel = panel;
+        this.ui.body = panel.querySelector('[data-role="body"]');
+
+        panel.querySelector('[data-role="close"]').addEventListener('click', () => this.close());
+        panel.querySelector('[data-role="export"]').addEventListener('click', () => {
+            if (!this.canExport()) return;
+            SyncHealth.exportReport().catch(error => console.error('HealthTimeline: Export failed', error));
+        });
+        panel.querySelectorAll('button[data-range]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.range = button.dataset.range;
+                this.refresh();
+            });
+        });
+    },
+
+    /**
+     * Reload events for the selected range and render
+     */
+    async refresh() {
+        const range = this.config.RANGES[this.range];
+        const now = Date.now();
+        let events = [];
+        try {
+            events = await SyncHealth.getEvents(now - range.span);
+        } catch (error) {
+            console.error('HealthTimeline: Failed to read history', error);
+        }
+        this.render(events, now - range.span, now);
+    },
+
+    render(events, from, to) {
+        if (!this.ui.panel) return;
+
+        const panel = this.ui.panel;
+        panel.querySelector('[data-role="title"]').textContent = this.t('سجل الاتصال والمزامنة', 'Connection & sync history');
+        panel.querySelector('[data-range="day"]').textContent = this.t('24 ساعة', '24 h');
+        panel.querySelector('[data-range="week"]').textContent = this.t('7 أيام', '7 days');
+        panel.querySelectorAll('button[data-range]').forEach(button => {
+            button.style.fontWeight = button.dataset.range === this.range ? '700' : '400';
+            button.style.background = button.dataset.range === this.range ? 'rgba(255,255,255,0.35)' : 'rgba(255,255,255,0.15)';
+        });
+        const exportButton = panel.querySelector('[data-role="export"]');
+        exportButton.textContent = this.t('تصدير التقرير', 'Export report');
+        exportButton.style.display = this.canExport() ? '' : 'none';
+
+        const summary = SyncHealth.summarize(events);
+        const recent = events.filter(event => event.type !== 'sample').slice(-this.config.RECENT_EVENTS).reverse();
+
+        this.ui.body.innerHTML = `
+            ${this.renderChart(events, from, to)}
+            ${this.renderLegend()}
+            ${this.renderSummary(summary)}
+            <div style="color:#1f2937;font-weight:700;margin:12px 0 6px;">${this.t('آخر أحداث المزامنة', 'Recent sync events')}</div>
+            ${recent.length === 0
+                ? `<div style="color:#6b7280;padding:4px 0;">${this.t('لا توجد أحداث', 'No events')}</div>`
+                : recent.map(event => this.renderEvent(event)).join('')}
+        `;
+    },
+
+    /**
+     * Group events into equal time buckets
+     */
+    bucketize(events, from, to, count) {
+        const size = (to - from) / count;
+        const buckets = Array.from({ length: count }, () => ({
+            samples: 0, online: 0, circuitOpen: 0, latency: 0, latencyCount: 0,
+            queued: 0, synced: 0, retry: 0, dead: 0
+        }));
+
+        events.forEach(event => {
+            const index = Math.min(count - 1, Math.floor((event.timestamp - from) / size));
+            if (index < 0) return;
+            const bucket = buckets[index];
+
+            if (event.type === 'sample') {
+                bucket.samples++;
+                if (event.circuit && event.circuit !== 'closed') bucket.circuitOpen++;
+                if (event.online && event.quality !== 'offline') {
+                    bucket.online++;
+                    if (event.latency) {
+                        bucket.latency += event.latency;
+                        bucket.latencyCount++;
+                    }
+                }
+                bucket.queued = Math.max(bucket.queued, event.queued || 0);
+            } else if (bucket[event.type] !== undefined && event.type !== 'queued') {
+                bucket[event.type]++;
+            }
+        });
+
+        return buckets;
+    },
+
+    /**
+     * SVG chart: sync markers on top, latency line and outbox bars in the
+     * middle, connection strip at the bottom
+     */
+    renderChart(events, from, to) {
+        const { WIDTH, HEIGHT, MAX_LATENCY } = this.config;
+        const count = this.config.RANGES[this.range].buckets;
+        const buckets = this.bucketize(events, from, to, count);
+        const step = WIDTH / count;
+
+        const markerY = 6;
+        const plotTop = 14;
+        const plotBottom = HEIGHT - 16;
+        const stripY = HEIGHT - 12;
+        const plotHeight = plotBottom - plotTop;
+        const maxQueued = Math.max(1, ...buckets.map(bucket => bucket.queued));
+
+        const parts = [];
+
+        buckets.forEach((bucket, i) => {
+            const x = i * step;
+
+            // Connection strip
+            let color = '#f3f4f6';
+            if (bucket.samples > 0) {
+                if (bucket.circuitOpen > bucket.samples / 2) color = '#991b1b';
+                else if (bucket.online === 0) color = '#6b7280';
+                else if (bucket.online < bucket.samples) color = '#f59e0b';
+                else color = '#22c55e';
+            }
+            parts.push(`<rect x="${x.toFixed(1)}" y="${stripY}" width="${(step + 0.5).toFixed(1)}" height="10" fill="${color}"/>`);
+
+            // Outbox size
+            if (bucket.queued > 0) {
+                const height = Math.max(2, bucket.queued / maxQueued * plotHeight * 0.6);
+                parts.push(`<rect x="${(x + step * 0.15).toFixed(1)}" y="${(plotBottom - height).toFixed(1)}" width="${(step * 0.7).toFixed(1)}" height="${height.toFixed(1)}" fill="#bfdbfe"/>`);
+            }
+
+            // Sync markers - the worst outcome in the bucket wins
+            const marker = bucket.dead ? '#dc2626' : (bucket.retry ? '#f59e0b' : (bucket.synced ? '#16a34a' : null));
+            if (marker) {
+                parts.push(`<circle cx="${(x + step / 2).toFixed(1)}" cy="${markerY}" r="3" fill="${marker}"/>`);
+            }
+        });
+
+        // Latency line, broken where there is no data
+        let path = '';
+        let drawing = false;
+        buckets.forEach((bucket, i) => {
+            if (!bucket.latencyCount) {
+                drawing = false;
+                return;
+            }
+            const latency = Math.min(bucket.latency / bucket.latencyCount, MAX_LATENCY);
+            const x = (i * step + step / 2).toFixed(1);
+            const y = (plotBottom - latency / MAX_LATENCY * plotHeight).toFixed(1);
+            path += `${drawing ? 'L' : 'M'}${x} ${y} `;
+            drawing = true;
+        });
+        if (path) {
+            parts.push(`<path d="${path.trim()}" fill="none" stroke="#1e40af" stroke-width="1.5"/>`);
+        }
+
+        const axis = 'font-size="9" fill="#9ca3af"';
+        const startLabel = this.formatTime(from);
+        const endLabel = this.t('الآن', 'now');
+
+        return `
+            <svg viewBox="0 0 ${WIDTH} ${HEIGHT + 12}" width="100%" style="display:block;direction:ltr;" role="img">
+                <line x1="0" y1="${plotTop}" x2="${WIDTH}" y2="${plotTop}" stroke="#f3f4f6"/>
+                <line x1="0" y1="${plotBottom}" x2="${WIDTH}" y2="${plotBottom}" stroke="#e5e7eb"/>
+                <text x="2" y="${plotTop + 9}" ${axis}>${MAX_LATENCY} ms</text>
+                ${parts.join('')}
+                <text x="0" y="${HEIGHT + 10}" ${axis}>${this.escape(startLabel)}</text>
+                <text x="${WIDTH}" y="${HEIGHT + 10}" text-anchor="end" ${axis}>${this.escape(endLabel)}</text>
+            </svg>
+        `;
+    },
+
+    renderLegend() {
+        const item = (color, label, round) => `
+            <span style="display:inline-flex;align-items:center;gap:4px;margin-inline-end:10px;">
+                <span style="width:9px;height:9px;background:${color};border-radius:${round ? '50%' : '2px'};display:inline-block;"></span>${label}
+            </span>
+        `;
+        return `
+            <div style="color:#6b7280;font-size:11px;margin-top:6px;line-height:1.8;">
+                ${item('#22c55e', this.t('متصل', 'Online'))}
+                ${item('#f59e0b', this.t('متقطع', 'Unstable'))}
+                ${item('#6b7280', this.t('غير متصل', 'Offline'))}
+                ${item('#991b1b', this.t('الخادم غير متاح', 'Server unavailable'))}
+                ${item('#1e40af', this.t('زمن الاستجابة', 'Latency'))}
+                ${item('#bfdbfe', this.t('بانتظار المزامنة', 'Outbox size'))}
+                ${item('#16a34a', this.t('مزامنة', 'Synced'), true)}
+                ${item('#dc2626', this.t('فشل', 'Failed'), true)}
+            </div>
+        `;
+    },
+
+    renderSummary(summary) {
+        const cell = (label, value) => `
+            <div style="background:#f9fafb;border-radius:8px;padding:6px 8px;">
+                <div style="color:#6b7280;font-size:11px;">${label}</div>
+                <div style="color:#1f2937;font-weight:700;">${value}</div>
+            </div>
+        `;
+        return `
+            <div style="display:grid;grid-template-columns:repeat(3,1fr);gap:6px;margin-top:8px;">
+                ${cell(this.t('نسبة الاتصال', 'Online'), summary.onlinePercent === null ? '-' : summary.onlinePercent + '%')}
+                ${cell(this.t('متوسط الاستجابة', 'Avg latency'), summary.averageLatency === null ? '-' : summary.averageLatency + ' ms')}
+                ${cell(this.t('أقصى انتظار', 'Max outbox'), summary.maxQueued)}
+                ${cell(this.t('تمت مزامنتها', 'Synced'), summary.synced)}
+                ${cell(this.t('إعادة محاولة', 'Retries'), summary.retries)}
+                ${cell(this.t('فشل نهائي', 'Dead letters'), summary.deadLettered)}
+            </div>
+        `;
+    },
+
+    renderEvent(event) {
+        const labels = this.EVENT_LABELS[event.type];
+        const colors = { queued: '#1e40af', synced: '#16a34a', retry: '#d97706', dead: '#dc2626' };
+        const trip = event.trip || {};
+        const detail = [
+            event.action,
+            trip.staffNumber,
+            trip.vehicleNumber,
+            [trip.departureDate || trip.returnDate, trip.departureTime || trip.returnTime].filter(Boolean).join(' ')
+        ].filter(Boolean).join(' · ');
+
+        return `
+            <div style="border-top:1px solid #f3f4f6;padding:6px 0;">
+                <div style="display:flex;justify-content:space-between;gap:8px;">
+                    <span style="color:${colors[event.type] || '#374151'};font-weight:600;">${labels ? this.t(labels[0], labels[1]) : this.escape(event.type)}</span>
+                    <span style="color:#9ca3af;font-size:11px;">#${event.queueId || '-'} · ${this.escape(this.formatTime(event.timestamp))}${event.source === 'worker' ? ' · SW' : ''}</span>
+                </div>
+                ${detail ? `<div style="color:#6b7280;font-size:12px;">${this.escape(detail)}</div>` : ''}
+                ${event.reason ? `<div style="color:#b91c1c;font-size:12px;">${this.escape(event.reason)}</div>` : ''}
+            </div>
+        `;
+    },
+
+    formatTime(timestamp) {
+        return new Date(timestamp).toLocaleString(this.isAr() ? 'ar' : 'en', {
+            weekday: 'short', hour: '2-digit', minute: '2-digit'
+        });
+    },
+
+    escape(text) {
+        return String(text).replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        }[c]));
+    }
+};
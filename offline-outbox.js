@@ -0,0 +1,844 @@
+/**
+ * Offline Outbox - صندوق الطلبات غير المرسلة
+ * Single persistent queue for write requests that could not reach the server
+ *
+ * Loaded by the pages and by the service worker (importScripts), so both
+ * sides read and write the same IndexedDB store.
+ *
+ * Features:
+ * 1. IndexedDB storage (AmbulanceOfflineDB / requests)
+ * 2. Atomic claim of the queue head - page and worker never send the same item
+ * 3. FIFO replay - a return is never sent before its departure
+ * 4. One item per idempotency key - a retried action is never queued twice
+ * 5. "Queued" response contract and "synced" notifications for the pages
+ * 6. Attempt counting with jittered backoff, never earlier than Retry-After;
+ *    sends are reported to the shared CircuitBreaker and pause while it is open
+ * 7. Dead-letter store for permanent failures (4xx, validation errors,
+ *    exhausted retry budget)
+ * 8. Background Sync / Periodic Background Sync registration, with the
+ *    SYNC_NOW message as the fallback
+ * 9. One-time migration of the old localStorage queues
+ * 10. Queued / synced / retry / dead-letter events logged to SyncHealth
+ * 11. Credential actions (login, PIN changes) are never queued - they need
+ *     the server now, and a PIN must not be stored on the device
+ * 12. Session tokens are never stored in an item: it keeps the staff number
+ *     that queued it (owner) and is signed with that user's current token
+ *     when sent - another user's session never sends it
+ * 13. The signed-in user's send credentials (staff number, token, expiry)
+ *     are kept in the credentials store until logout or token expiry, so a
+ *     Background Sync with no page open can still sign the owner's items
+ */
+
+const OfflineOutbox = {
+    // Configuration
+    config: {
+        DB_NAME: 'AmbulanceOfflineDB',
+        DB_VERSION: 3,
+        STORE: 'requests',
+        DEAD_STORE: 'deadLetters',
+        CREDENTIALS_STORE: 'credentials',
+        CREDENTIALS_KEY: 'session',
+        LEASE_MS: 60000,              // A claimed item is locked for 60 seconds
+        RETRY_DELAY: 15000,           // First backoff 15 seconds
+        MAX_RETRY_DELAY: 30 * 60000,  // Backoff never exceeds 30 minutes
+        MAX_SERVER_ERRORS: 8,         // Retry budget for server-side failures
+        // Server error messages that are worth retrying (Apps Script lock / quota)
+        TRANSIENT_ERRORS: /timeout|timed out|lock|quota|too many|busy|temporar|unavailable/i,
+        SYNC_TAG: 'outbox-sync',
+        PERIODIC_SYNC_TAG: 'outbox-periodic-sync',
+        PERIODIC_SYNC_INTERVAL: 15 * 60000,  // Browsers treat this as a minimum
+        LEGACY_KEYS: ['offline_request_queue', 'offline_trip_queue'],
+        ONLINE_ONLY_ACTIONS: ['login', 'setUserPin'],
+        CREDENTIAL_FIELDS: ['token']
+    },
+
+    _db: null,
+    _listeners: {
+        SYNC_SUCCESS: [],
+        SYNC_FAILED_PERMANENT: []
+    },
+
+    /**
+     * Open (once) the shared IndexedDB database
+     */
+    open() {
+        if (this._db) return this._db;
+
+        this._db = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.config.DB_NAME, this.config.DB_VERSION);
+
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let a newer version (other tab or worker) upgrade the schema
+                db.onversionchange = () => {
+                    db.close();
+                    this._db = null;
+                };
+                resolve(db);
+            };
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                if (!db.objectStoreNames.contains(this.config.STORE)) {
+                    db.createObjectStore(this.config.STORE, { keyPath: 'id', autoIncrement: true });
+                }
+                if (!db.objectStoreNames.contains(this.config.DEAD_STORE)) {
+                    db.createObjectStore(this.config.DEAD_STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(this.config.CREDENTIALS_STORE)) {
+                    db.createObjectStore(this.config.CREDENTIALS_STORE);
+                }
+            };
+        });
+
+        this._db.catch(() => { this._db = null; });
+        return this._db;
+    },
+
+    /**
+     * Run work inside one transaction, resolves with ctx.result on commit
+     */
+    async _withTx(storeNames, mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const ctx = { result: undefined };
+            tx.oncomplete = () => resolve(ctx.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Outbox transaction aborted'));
+            work(tx, ctx);
+        });
+    },
+
+    /**
+     * Same as _withTx for the requests store only
+     */
+    async _withStore(mode, work) {
+        return this._withTx(this.config.STORE, mode, (tx, ctx) => work(tx.objectStore(this.config.STORE), ctx));
+    },
+
+    /**
+     * Read action, staff number and idempotency key from a JSON body
+     */
+    _describe(body) {
+        try {
+            const payload = JSON.parse(body);
+            return {
+                action: payload.action || '',
+                staffNumber: payload.staffNumber || '',
+                idempotencyKey: payload.idempotencyKey || ''
+            };
+        } catch (e) {
+            return { action: '', staffNumber: '', idempotencyKey: '' };
+        }
+    },
+
+    /**
+     * Body without the session token, and the staff number that sent it
+     */
+    _withoutCredentials(body) {
+        let payload;
+        try {
+            payload = JSON.parse(body);
+        } catch (e) {
+            return { body: body, owner: '' };
+        }
+        if (!payload || typeof payload !== 'object') return { body: body, owner: '' };
+        this.config.CREDENTIAL_FIELDS.forEach(field => delete payload[field]);
+        return { body: JSON.stringify(payload), owner: String(payload.actorStaffNumber || '') };
+    },
+
+    /**
+     * The signed-in user ({ staffNumber, token }): from SessionManager on a
+     * page, from the credentials store in the service worker
+     */
+    async _currentSession() {
+        if (typeof SessionManager !== 'undefined') {
+            const token = SessionManager.getToken();
+            return token ? { staffNumber: String(SessionManager.getSession().staffNumber), token: token } : null;
+        }
+
+        const stored = await this._withTx(this.config.CREDENTIALS_STORE, 'readonly', (tx, ctx) => {
+            tx.objectStore(this.config.CREDENTIALS_STORE).get(this.config.CREDENTIALS_KEY).onsuccess = (event) => {
+                ctx.result = event.target.result || null;
+            };
+        });
+        return stored && stored.expiresAt > Date.now() ? stored : null;
+    },
+
+    /**
+     * Store (or, with null, delete) the signed-in user's send credentials.
+     * Called by SessionManager on every protected page and at logout.
+     * @param {object|null} session - { staffNumber, token, expiresAt }
+     */
+    async setSession(session) {
+        return this._withTx(this.config.CREDENTIALS_STORE, 'readwrite', (tx) => {
+            const store = tx.objectStore(this.config.CREDENTIALS_STORE);
+            if (session && session.token) {
+                store.put({
+                    staffNumber: String(session.staffNumber),
+                    token: session.token,
+                    expiresAt: session.expiresAt
+                }, this.config.CREDENTIALS_KEY);
+            } else {
+                store.delete(this.config.CREDENTIALS_KEY);
+            }
+        });
+    },
+
+    /**
+     * Body to send for an item - signed with its owner's token.
+     * Throws (without using up the retry budget) while the owner is not signed in.
+     */
+    async _signedBody(item) {
+        if (!item.owner) return this._withoutCredentials(item.data).body;
+
+        const session = await this._currentSession();
+        if (!session || session.staffNumber !== item.owner) {
+            throw this._waitingError(item);
+        }
+        const payload = JSON.parse(item.data);
+        this.config.CREDENTIAL_FIELDS.forEach(field => delete payload[field]);
+        payload.token = session.token;
+        // Entries migrated from the old queues carry no actor
+        if (!payload.actorStaffNumber) payload.actorStaffNumber = item.owner;
+        return JSON.stringify(payload);
+    },
+
+    /**
+     * Add a request to the outbox.
+     * If an item with the same idempotency key (or, without a key, the same
+     * body) is already queued, that item is returned instead of a second copy.
+     * @param {string} url - Target URL (WEB_APP_URL)
+     * @param {string|object} data - Request body, objects are JSON encoded
+     * @param {object} meta - Optional { timestamp, owner }
+     */
+    async enqueue(url, data, meta = {}) {
+        const { body, owner } = this._withoutCredentials(typeof data === 'string' ? data : JSON.stringify(data));
+        const item = {
+            url: url,
+            data: body,
+            owner: owner || meta.owner || '',
+            ...this._describe(body),
+            timestamp: meta.timestamp || Date.now(),
+            attempts: 0,
+            serverErrors: 0,
+            nextAttemptAt: 0,
+            leaseUntil: 0,
+            lastError: null
+        };
+
+        let added = false;
+        const queued = await this._withStore('readwrite', (store, ctx) => {
+            const isSame = queued => item.idempotencyKey
+                ? queued.idempotencyKey === item.idempotencyKey
+                : queued.data === item.data;
+
+            store.openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) {
+                    store.add(item).onsuccess = (addEvent) => {
+                        ctx.result = { ...item, id: addEvent.target.result };
+                        added = true;
+                    };
+                } else if (isSame(cursor.value)) {
+                    ctx.result = cursor.value;
+                } else {
+                    cursor.continue();
+                }
+            };
+        });
+
+        console.log('OfflineOutbox: Request queued', queued.id, item.action);
+        if (added) this._log('queued', queued);
+        this.registerBackgroundSync();
+        return queued;
+    },
+
+    /**
+     * List all queued items (oldest first)
+     */
+    async getAll() {
+        return this._withStore('readonly', (store, ctx) => {
+            store.getAll().onsuccess = (event) => { ctx.result = event.target.result || []; };
+        });
+    },
+
+    /**
+     * Number of queued items
+     */
+    async count() {
+        return this._withStore('readonly', (store, ctx) => {
+            store.count().onsuccess = (event) => { ctx.result = event.target.result || 0; };
+        });
+    },
+
+    /**
+     * 1-based position of an item in the queue
+     */
+    async position(id) {
+        return this._withStore('readonly', (store, ctx) => {
+            store.count(IDBKeyRange.upperBound(id)).onsuccess = (event) => { ctx.result = event.target.result || 0; };
+        });
+    },
+
+    /**
+     * Response contract for a request that was queued instead of sent.
+     * success is false on purpose: nothing has reached the server yet.
+     */
+    queuedResult(item, position) {
+        return {
+            success: false,
+            queued: true,
+            offline: true,
+            queueId: item.id,
+            position: position,
+            message: 'تم حفظ البيانات على الجهاز - بانتظار المزامنة'
+        };
+    },
+
+    /**
+     * False for bodies that must never be queued (credential actions)
+     */
+    canQueue(body) {
+        const payload = typeof body === 'string' ? body : JSON.stringify(body);
+        return !this.config.ONLINE_ONLY_ACTIONS.includes(this._describe(payload).action);
+    },
+
+    /**
+     * Response for an online-only request that could not reach the server
+     */
+    offlineResult() {
+        return {
+            success: false,
+            queued: false,
+            offline: true,
+            error: 'OFFLINE',
+            message: 'لا يوجد اتصال بالخادم - هذه العملية تتطلب اتصالاً بالإنترنت'
+        };
+    },
+
+    /**
+     * True when a response is the "queued" contract
+     */
+    isQueued(result) {
+        return !!(result && result.queued === true);
+    },
+
+    /**
+     * Notification sent when a queued item reached the server
+     * (duplicate = the server already had its idempotency key)
+     */
+    syncedMessage(item, result) {
+        const duplicate = !!(result && result.duplicate);
+        return {
+            type: 'SYNC_SUCCESS',
+            queueId: item.id,
+            duplicate: duplicate,
+            message: duplicate
+                ? 'البيانات مسجلة مسبقاً - تم تجاهل النسخة المكررة'
+                : 'تم مزامنة البيانات بنجاح',
+            item: { id: item.id, action: item.action, data: item.data }
+        };
+    },
+
+    /**
+     * Notification sent when a queued item was moved to the dead-letter store
+     */
+    failedMessage(item, reason) {
+        return {
+            type: 'SYNC_FAILED_PERMANENT',
+            queueId: item.id,
+            reason: reason,
+            message: 'تعذر إرسال البيانات المحفوظة: ' + reason,
+            item: { id: item.id, action: item.action, data: item.data }
+        };
+    },
+
+    /**
+     * Subscribe to SYNC_SUCCESS notifications, whether the service worker
+     * or the page itself drained the outbox
+     */
+    onSynced(callback) {
+        this._subscribe('SYNC_SUCCESS', callback);
+    },
+
+    /**
+     * Subscribe to SYNC_FAILED_PERMANENT notifications
+     */
+    onSyncFailed(callback) {
+        this._subscribe('SYNC_FAILED_PERMANENT', callback);
+    },
+
+    _subscribe(type, callback) {
+        const isFirst = Object.values(this._listeners).every(list => list.length === 0);
+        this._listeners[type].push(callback);
+
+        if (isFirst && typeof navigator !== 'undefined' && navigator.serviceWorker) {
+            navigator.serviceWorker.addEventListener('message', event => {
+                if (event.data && this._listeners[event.data.type]) {
+                    this._notify(event.data);
+                }
+            });
+        }
+    },
+
+    /**
+     * Log an outbox event to SyncHealth when it is loaded
+     */
+    _log(type, item, reason) {
+        if (typeof SyncHealth !== 'undefined') {
+            SyncHealth.recordOutbox(type, item, reason);
+        }
+    },
+
+    _notify(message) {
+        this._listeners[message.type].forEach(callback => {
+            try {
+                callback(message);
+            } catch (e) {
+                console.error('OfflineOutbox: Listener failed', e);
+            }
+        });
+    },
+
+    /**
+     * Atomically claim the head of the queue.
+     * Returns null when the queue is empty, the head is already claimed or
+     * still backing off, so items are always replayed in order by a single sender.
+     */
+    async claim() {
+        const now = Date.now();
+        const session = await this._currentSession();
+        const owner = session ? session.staffNumber : null;
+        return this._withStore('readwrite', (store, ctx) => {
+            store.openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+
+                const item = cursor.value;
+                // Another user's items wait for that user - each user's queue stays in order
+                if (item.owner && item.owner !== owner) {
+                    cursor.continue();
+                    return;
+                }
+                if ((item.leaseUntil || 0) > now) return;
+                if ((item.nextAttemptAt || 0) > now) return;
+
+                item.leaseUntil = now + this.config.LEASE_MS;
+                cursor.update(item);
+                ctx.result = item;
+            };
+        });
+    },
+
+    /**
+     * Remove a claimed item after it reached the server
+     */
+    async complete(id) {
+        return this._withStore('readwrite', (store) => {
+            store.delete(id);
+        });
+    },
+
+    /**
+     * Backoff before the next attempt: exponential with +/-25% jitter
+     */
+    backoffDelay(attempts) {
+        const base = Math.min(
+            this.config.RETRY_DELAY * Math.pow(2, Math.max(attempts - 1, 0)),
+            this.config.MAX_RETRY_DELAY
+        );
+        return Math.round(base * (0.75 + Math.random() * 0.5));
+    },
+
+    /**
+     * Handle a failed send of a claimed item.
+     * Permanent errors and an exhausted retry budget move the item to the
+     * dead-letter store; anything else is retried after a backoff.
+     * Network errors (no server answer) never use up the retry budget.
+     * @returns {Promise<{deadLettered: boolean, reason: string}>}
+     */
+    async release(id, error) {
+        const reason = error ? String(error.message || error) : 'Unknown error';
+        const now = Date.now();
+
+        return this._withTx([this.config.STORE, this.config.DEAD_STORE], 'readwrite', (tx, ctx) => {
+            const store = tx.objectStore(this.config.STORE);
+            ctx.result = { deadLettered: false, reason: reason };
+
+            store.get(id).onsuccess = (event) => {
+                const item = event.target.result;
+                if (!item) return;
+
+                item.leaseUntil = 0;
+                item.attempts = (item.attempts || 0) + 1;
+                item.lastError = reason;
+                if (error && error.status) {
+                    item.serverErrors = (item.serverErrors || 0) + 1;
+                }
+
+                let deadReason = null;
+                if (error && error.permanent) {
+                    deadReason = reason;
+                } else if ((item.serverErrors || 0) >= this.config.MAX_SERVER_ERRORS) {
+                    deadReason = `Retry budget exhausted (${item.serverErrors} server errors): ${reason}`;
+                }
+
+                if (deadReason) {
+                    store.delete(id);
+                    tx.objectStore(this.config.DEAD_STORE).put({
+                        ...item,
+                        status: error && error.status ? error.status : null,
+                        reason: deadReason,
+                        failedAt: now
+                    });
+                    ctx.result = { deadLettered: true, reason: deadReason };
+                    return;
+                }
+
+                // Never earlier than the server asked for
+                item.nextAttemptAt = now + Math.max(
+                    this.backoffDelay(item.attempts),
+                    (error && error.retryAfter) || 0
+                );
+                store.put(item);
+            };
+        });
+    },
+
+    /**
+     * List items in the dead-letter store
+     */
+    async getDeadLetters() {
+        return this._withTx(this.config.DEAD_STORE, 'readonly', (tx, ctx) => {
+            tx.objectStore(this.config.DEAD_STORE).getAll().onsuccess = (event) => {
+                ctx.result = event.target.result || [];
+            };
+        });
+    },
+
+    /**
+     * Delete a dead-lettered item for good
+     */
+    async discardDeadLetter(id) {
+        return this._withTx(this.config.DEAD_STORE, 'readwrite', (tx) => {
+            tx.objectStore(this.config.DEAD_STORE).delete(id);
+        });
+    },
+
+    /**
+     * Remove an item without sending it
+     */
+    async discard(id) {
+        return this.complete(id);
+    },
+
+    /**
+     * Send one queued item to the server, resolves with the parsed reply
+     * ({} when the reply is not JSON)
+     */
+    async send(item) {
+        const body = await this._signedBody(item);
+        let response;
+        try {
+            response = await fetch(item.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'text/plain' },
+                body: body
+            });
+        } catch (error) {
+            CircuitBreaker.recordFailure(error, item.url);
+            throw error;
+        }
+
+        if (response.status === 401 && item.owner) {
+            CircuitBreaker.recordSuccess();
+            throw this._waitingError(item);
+        }
+
+        if (!response.ok && response.type !== 'opaque') {
+            const status = response.status;
+            // 4xx means the request itself is wrong; 408 / 429 are worth retrying
+            const permanent = status >= 400 && status < 500 && status !== 408 && status !== 429;
+            const error = this._sendError(`HTTP ${status}: ${response.statusText}`, status, permanent);
+            if (status === 429 || status === 503) {
+                error.retryAfter = CircuitBreaker.retryAfterMs(response);
+            }
+            CircuitBreaker.recordFailure(error, item.url);
+            throw error;
+        }
+
+        let result;
+        try {
+            result = await response.json();
+        } catch (e) {
+            CircuitBreaker.recordSuccess();
+            return {};
+        }
+
+        // A page-side send answered by the service worker's offline fallback
+        if (this.isQueued(result)) {
+            throw new Error('Offline - still queued');
+        }
+
+        // Expired token - the item waits for its owner to sign in again
+        if (result && result.success === false && result.error === 'INVALID_TOKEN' && item.owner) {
+            CircuitBreaker.recordSuccess();
+            throw this._waitingError(item);
+        }
+
+        // Apps Script answers 200 with success:false for validation errors
+        if (result && result.success === false) {
+            const reason = result.error || result.message || 'Rejected by server';
+            const permanent = !result.retryable && !result.retryAfter && !this.config.TRANSIENT_ERRORS.test(reason);
+            const error = this._sendError(reason, response.status, permanent);
+            // Quota / lock errors mean the backend is struggling - they count for the CircuitBreaker
+            error.transient = !permanent;
+            if (result.retryAfter) error.retryAfter = Number(result.retryAfter) * 1000;
+            if (error.transient) {
+                CircuitBreaker.recordFailure(error, item.url);
+            } else {
+                CircuitBreaker.recordSuccess();
+            }
+            throw error;
+        }
+
+        CircuitBreaker.recordSuccess();
+        return result;
+    },
+
+    // Not a failure: no status, so the retry budget is left alone
+    _waitingError(item) {
+        return this._sendError(`Waiting for ${item.owner || 'a user'} to sign in`, null, false);
+    },
+
+    _sendError(message, status, permanent) {
+        const error = new Error(message);
+        error.status = status;
+        error.permanent = permanent;
+        return error;
+    },
+
+    /**
+     * Send one item now, out of turn (outbox inspector "retry").
+     * Resolves with the server reply, or null if the item is being sent already.
+     */
+    async retry(id) {
+        const now = Date.now();
+        const item = await this._withStore('readwrite', (store, ctx) => {
+            store.get(id).onsuccess = (event) => {
+                const found = event.target.result;
+                if (!found || (found.leaseUntil || 0) > now) return;
+                found.leaseUntil = now + this.config.LEASE_MS;
+                store.put(found);
+                ctx.result = found;
+            };
+        });
+        if (!item) return null;
+
+        let result;
+        try {
+            result = await this.send(item);
+        } catch (error) {
+            const outcome = await this.release(id, error);
+            this._log(outcome.deadLettered ? 'dead' : 'retry', item, outcome.reason);
+            if (outcome.deadLettered) {
+                this._notify(this.failedMessage(item, outcome.reason));
+            }
+            throw error;
+        }
+
+        await this.complete(id);
+        this._log('synced', item);
+        this._notify(this.syncedMessage(item, result));
+        return result;
+    },
+
+    /**
+     * Replay queued items in order until the queue is empty or a send fails.
+     * A permanently failed item is dead-lettered and the replay continues.
+     * @param {object} options - { send, onSent, onFailed }
+     * @returns {Promise<{sent: number, deadLettered: number, failed: boolean}>}
+     */
+    async drain(options = {}) {
+        const send = options.send || (item => this.send(item));
+        let sent = 0;
+        let deadLettered = 0;
+        let item;
+
+        // Backend down - items wait for a sync after the circuit closes
+        while (CircuitBreaker.canRequest() && (item = await this.claim())) {
+            let result;
+            try {
+                result = await send(item);
+            } catch (error) {
+                const outcome = await this.release(item.id, error);
+                this._log(outcome.deadLettered ? 'dead' : 'retry', item, outcome.reason);
+                if (outcome.deadLettered) {
+                    console.error('OfflineOutbox: Permanent failure, moved to dead letters', item.id, outcome.reason);
+                    deadLettered++;
+                    if (options.onFailed) options.onFailed(item, outcome.reason);
+                    continue;
+                }
+                console.warn('OfflineOutbox: Send failed, keeping item', item.id, error.message);
+                return { sent, deadLettered, failed: true };
+            }
+
+            await this.complete(item.id);
+            this._log('synced', item);
+            sent++;
+            if (options.onSent) options.onSent(item, result || {});
+        }
+
+        return { sent, deadLettered, failed: CircuitBreaker.isOpen() };
+    },
+
+    /**
+     * Service worker registration, from the worker itself or from a
+     * controlled page (null when there is none)
+     */
+    async _getRegistration() {
+        if (typeof ServiceWorkerGlobalScope !== 'undefined' && self instanceof ServiceWorkerGlobalScope) {
+            return self.registration;
+        }
+        if (typeof navigator !== 'undefined' && navigator.serviceWorker && navigator.serviceWorker.controller) {
+            return navigator.serviceWorker.ready;
+        }
+        return null;
+    },
+
+    /**
+     * Ask the browser for a 'sync' event once it is online, so the queue
+     * drains even if the app is closed first. Resolves false when the
+     * Background Sync API is not available.
+     */
+    async registerBackgroundSync() {
+        try {
+            const registration = await this._getRegistration();
+            if (!registration || !registration.sync) return false;
+            await registration.sync.register(this.config.SYNC_TAG);
+            return true;
+        } catch (e) {
+            console.warn('OfflineOutbox: Background Sync unavailable', e.message);
+            return false;
+        }
+    },
+
+    /**
+     * Register a periodic 'periodicsync' event (installed app with the
+     * permission granted only). Resolves false when not available.
+     */
+    async registerPeriodicSync() {
+        try {
+            const registration = await this._getRegistration();
+            if (!registration || !registration.periodicSync || !navigator.permissions) return false;
+
+            const permission = await navigator.permissions.query({ name: 'periodic-background-sync' });
+            if (permission.state !== 'granted') return false;
+
+            await registration.periodicSync.register(this.config.PERIODIC_SYNC_TAG, {
+                minInterval: this.config.PERIODIC_SYNC_INTERVAL
+            });
+            return true;
+        } catch (e) {
+            console.warn('OfflineOutbox: Periodic Background Sync unavailable', e.message);
+            return false;
+        }
+    },
+
+    /**
+     * Ask for the outbox to be sent.
+     * With an active service worker the worker drains it (its fetch handler
+     * would otherwise re-queue a page replay that fails): a Background Sync
+     * registration covers the page closing early, and the SYNC_NOW message
+     * drains right away (and is the only path where Background Sync is
+     * missing). Without a worker the page drains it directly.
+     */
+    async requestSync() {
+        if (typeof navigator !== 'undefined' && navigator.serviceWorker && navigator.serviceWorker.controller) {
+            await this.registerBackgroundSync();
+            navigator.serviceWorker.controller.postMessage({ type: 'SYNC_NOW' });
+            return null;
+        }
+        return this.drain({
+            onSent: (item, result) => this._notify(this.syncedMessage(item, result)),
+            onFailed: (item, reason) => this._notify(this.failedMessage(item, reason))
+        });
+    },
+
+    /**
+     * Move entries from the old localStorage queues into the outbox.
+     * RequestOptimizer entries carry their own URL; driver page entries
+     * need fallbackUrl and stay in localStorage until a page provides it.
+     */
+    async migrateLegacy(fallbackUrl) {
+        if (typeof localStorage === 'undefined') return 0;
+
+        let migrated = 0;
+
+        for (const key of this.config.LEGACY_KEYS) {
+            let entries;
+            try {
+                entries = JSON.parse(localStorage.getItem(key) || '[]');
+            } catch (e) {
+                entries = [];
+            }
+            if (!Array.isArray(entries) || entries.length === 0) continue;
+
+            const movable = [];
+            const kept = [];
+            entries.forEach(entry => {
+                if (entry && entry.url && entry.options) {
+                    movable.push({
+                        url: entry.url,
+                        data: entry.options.body || '',
+                        timestamp: entry.timestamp,
+                        source: entry
+                    });
+                } else if (entry && fallbackUrl) {
+                    const { queuedAt, ...data } = entry;
+                    movable.push({
+                        url: fallbackUrl,
+                        data: data,
+                        timestamp: queuedAt ? Date.parse(queuedAt) : undefined,
+                        source: entry
+                    });
+                } else {
+                    kept.push(entry);
+                }
+            });
+
+            // Take the entries out synchronously so another tab cannot migrate them too
+            if (kept.length > 0) {
+                localStorage.setItem(key, JSON.stringify(kept));
+            } else {
+                localStorage.removeItem(key);
+            }
+
+            for (let i = 0; i < movable.length; i++) {
+                const entry = movable[i];
+                try {
+                    // Old entries carry no actor - they wait for the staff number they were sent for
+                    const body = typeof entry.data === 'string' ? entry.data : JSON.stringify(entry.data);
+                    await this.enqueue(entry.url, entry.data, {
+                        timestamp: entry.timestamp,
+                        owner: String(this._describe(body).staffNumber || '')
+                    });
+                    migrated++;
+                } catch (error) {
+                    console.error('OfflineOutbox: Migration failed, restoring entries', error);
+                    const rest = JSON.parse(localStorage.getItem(key) || '[]');
+                    localStorage.setItem(key, JSON.stringify(rest.concat(movable.slice(i).map(m => m.source))));
+                    break;
+                }
+            }
+        }
+
+        if (migrated > 0) {
+            console.log(`OfflineOutbox: Migrated ${migrated} requests from localStorage`);
+        }
+        return migrated;
+    }
+};
@@ -0,0 +1,322 @@
+/**
+ * Outbox Inspector - عارض الطلبات بانتظار المزامنة
+ * Panel listing every request waiting in the OfflineOutbox
+ *
+ * Opened from the ConnectionMonitor indicator dot.
+ *
+ * Features:
+ * 1. Action, driver / vehicle, age, attempts and last error per item
+ * 2. Retry one item now
+ * 3. Discard one item (with confirmation)
+ * 4. Export one item or the whole outbox as JSON
+ * 5. Dead letters (permanently failed requests) with their reason
+ * 6. Retry / discard only for the user who queued the item, or with the
+ *    trips:delete permission - on a shared device nobody drops another
+ *    user's departure
+ */
+
+const OutboxInspector = {
+    // UI Elements
+    ui: {
+        panel: null,
+        list: null,
+        title: null
+    },
+
+    // Action labels [ar, en]
+    ACTION_LABELS: {
+        driverDeparture: ['تسجيل ذهاب', 'Departure'],
+        driverReturn: ['تسجيل عودة', 'Return'],
+        submitCase: ['حالة إسعاف', 'Ambulance case'],
+        deleteRecord: ['حذف سجل', 'Delete record'],
+        archiveRecord: ['أرشفة سجل', 'Archive record'],
+        addVehicle: ['إضافة سيارة', 'Add vehicle'],
+        updateVehicle: ['تحديث سيارة', 'Update vehicle']
+    },
+
+    _items: [],
+    _deadLetters: [],
+
+    /**
+     * Initialize - refresh the list whenever a queued item is synced or fails
+     */
+    init() {
+        const refreshIfOpen = () => {
+            if (this.isOpen()) this.refresh();
+        };
+        OfflineOutbox.onSynced(refreshIfOpen);
+        OfflineOutbox.onSyncFailed(refreshIfOpen);
+    },
+
+    isAr() {
+        return (localStorage.getItem('appLanguage') || 'ar') === 'ar';
+    },
+
+    t(ar, en) {
+        return this.isAr() ? ar : en;
+    },
+
+    isOpen() {
+        return !!(this.ui.panel && this.ui.panel.style.display !== 'none');
+    },
+
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    },
+
+    open() {
+        if (!this.ui.panel) this.createPanel();
+        if (typeof HealthTimeline !== 'undefined') HealthTimeline.close();
+        this.ui.panel.style.direction = this.isAr() ? 'rtl' : 'ltr';
+        this.ui.panel.style.display = 'flex';
+        this.refresh();
+    },
+
+    close() {
+        if (this.ui.panel) this.ui.panel.style.display = 'none';
+    },
+
+    /**
+     * Create panel UI (once)
+     */
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'outbox-inspector';
+        panel.style.cssText = `
+            position: fixed;
+            bottom: 44px;
+            left: 20px;
+            width: 360px;
+            max-width: calc(100vw - 40px);
+            max-height: 60vh;
+            display: none;
+            flex-direction: column;
+            background: white;
+            border-radius: 12px;
+            box-shadow: 0 10px 40px rgba(0,0,0,0.25);
+            z-index: 99999;
+            font-size: 13px;
+            overflow: hidden;
+        `;
+
+        panel.innerHTML = `
+            <div style="display:flex;align-items:center;gap:8px;padding:12px 14px;background:#1e40af;color:white;">
+                <strong data-role="title" style="flex:1;font-size:14px;"></strong>
+                <button data-role="export-all" style="background:rgba(255,255,255,0.15);color:white;border:none;border-radius:6px;padding:4px 10px;font-size:12px;cursor:pointer;font-family:inherit;"></button>
+                <button data-role="close" style="background:none;color:white;border:none;font-size:18px;line-height:1;cursor:pointer;">×</button>
+            </div>
+            <div data-role="list" style="overflow-y:auto;padding:8px;"></div>
+        `;
+
+        document.body.appendChild(panel);
+
+        this.ui.panel = panel;
+        this.ui.list = panel.querySelector('[data-role="list"]');
+        this.ui.title = panel.querySelector('[data-role="title"]');
+
+        panel.querySelector('[data-role="close"]').addEventListener('click', () => this.close());
+        panel.querySelector('[data-role="export-all"]').addEventListener('click', () => {
+            this.download(this._items.concat(this._deadLetters), 'outbox');
+        });
+
+        // Row buttons
+        this.ui.list.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-op]');
+            if (!button) return;
+            const id = Number(button.dataset.id);
+            const isDead = button.dataset.dead === '1';
+            const source = isDead ? this._deadLetters : this._items;
+            const item = source.find(entry => entry.id === id);
+            if (button.dataset.op !== 'export' && !(item && this.canManage(item))) {
+                SessionManager.showNotPermitted();
+                return;
+            }
+            if (button.dataset.op === 'retry') this.retryItem(id, button);
+            if (button.dataset.op === 'discard') this.discardItem(id, isDead);
+            if (button.dataset.op === 'export') {
+                this.download(source.filter(item => item.id === id), `outbox-${id}`);
+            }
+        });
+    },
+
+    /**
+     * True when the signed-in user queued the item or may delete trips
+     */
+    canManage(item) {
+        const session = SessionManager.getSession();
+        const isOwner = !!item.owner && SessionManager.isValidSession(session) &&
+            item.owner === String(session.staffNumber);
+        return isOwner || SessionManager.can('trips:delete');
+    },
+
+    /**
+     * Reload items from the outbox and render
+     */
+    async refresh() {
+        try {
+            this._items = await OfflineOutbox.getAll();
+            this._deadLetters = await OfflineOutbox.getDeadLetters();
+        } catch (error) {
+            console.error('OutboxInspector: Failed to read outbox', error);
+            this._items = [];
+            this._deadLetters = [];
+        }
+        this.render();
+    },
+
+    render() {
+        if (!this.ui.panel) return;
+
+        this.ui.title.textContent = this.t('بانتظار المزامنة', 'Pending sync') + ` (${this._items.length})`;
+        this.ui.panel.querySelector('[data-role="export-all"]').textContent = this.t('تصدير الكل', 'Export all');
+
+        let html = this._items.length === 0
+            ? `
+                <div style="text-align:center;color:#6b7280;padding:24px 8px;">
+                    ✓ ${this.t('لا توجد طلبات بانتظار المزامنة', 'Nothing waiting to sync')}
+                </div>
+            `
+            : this._items.map(item => this.renderItem(item, false)).join('');
+
+        if (this._deadLetters.length > 0) {
+            html += `
+                <div style="color:#991b1b;font-weight:700;margin:12px 2px 6px;">
+                    ${this.t('فشل نهائياً - لن تتم إعادة المحاولة', 'Failed permanently - not retried')} (${this._deadLetters.length})
+                </div>
+            ` + this._deadLetters.map(item => this.renderItem(item, true)).join('');
+        }
+
+        this.ui.list.innerHTML = html;
+    },
+
+    renderItem(item, isDead) {
+        const payload = this.parse(item.data);
+        const labels = this.ACTION_LABELS[item.action];
+        const actionLabel = labels ? this.t(labels[0], labels[1]) : (item.action || '-');
+        const who = [payload.driverName || payload.driverNameAr || payload.staffNumber, payload.vehicleNumber]
+            .filter(Boolean).join(' · ');
+        const when = [payload.departureDate, payload.departureTime || payload.returnTime]
+            .filter(Boolean).join(' ');
+        const canManage = this.canManage(item);
+        const buttonStyle = 'border:1px solid #d1d5db;background:white;border-radius:6px;padding:3px 10px;font-size:12px;cursor:pointer;font-family:inherit;';
+
+        return `
+            <div style="border:1px solid #e5e7eb;border-radius:8px;padding:10px;margin-bottom:8px;">
+                <div style="display:flex;justify-content:space-between;gap:8px;">
+                    <strong style="color:#1f2937;">${this.escape(actionLabel)}</strong>
+                    <span style="color:#9ca3af;font-size:11px;">#${item.id} · ${this.formatAge(item.timestamp)}</span>
+                </div>
+                ${who ? `<div style="color:#374151;margin-top:4px;">${this.escape(who)}</div>` : ''}
+                ${when ? `<div style="color:#6b7280;font-size:12px;">${this.escape(when)}${payload.destination ? ' → ' + this.escape(payload.destination) : ''}</div>` : ''}
+                <div style="color:#6b7280;font-size:12px;margin-top:4px;">
+                    ${this.t('المحاولات', 'Attempts')}: ${item.attempts || 0}
+                    ${!isDead && item.nextAttemptAt > Date.now() ? ` · ${this.t('المحاولة التالية', 'Next try')} ${new Date(item.nextAttemptAt).toLocaleTimeString()}` : ''}
+                </div>
+                ${isDead
+                    ? `<div style="color:#b91c1c;font-size:12px;margin-top:2px;">${this.t('السبب', 'Reason')}: ${this.escape(item.reason || '')}</div>`
+                    : (item.lastError ? `<div style="color:#b91c1c;font-size:12px;margin-top:2px;">${this.t('آخر خطأ', 'Last error')}: ${this.escape(item.lastError)}</div>` : '')}
+                <div style="display:flex;gap:6px;margin-top:8px;">
+                    ${isDead || !canManage ? '' : `<button data-op="retry" data-id="${item.id}" style="${buttonStyle}color:#1e40af;">${this.t('إعادة المحاولة', 'Retry now')}</button>`}
+                    <button data-op="export" data-id="${item.id}" data-dead="${isDead ? 1 : 0}" style="${buttonStyle}color:#374151;">${this.t('تصدير', 'Export')}</button>
+                    ${canManage ? `<button data-op="discard" data-id="${item.id}" data-dead="${isDead ? 1 : 0}" style="${buttonStyle}color:#dc2626;">${this.t('حذف', 'Discard')}</button>` : ''}
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Retry one item now
+     */
+    async retryItem(id, button) {
+        button.disabled = true;
+        button.textContent = this.t('جاري الإرسال...', 'Sending...');
+        try {
+            const result = await OfflineOutbox.retry(id);
+            if (result && typeof UIOptimizer !== 'undefined') {
+                UIOptimizer.showSuccess(this.t('تم إرسال الطلب بنجاح', 'Request sent'));
+            }
+        } catch (error) {
+            if (typeof UIOptimizer !== 'undefined') {
+                UIOptimizer.showError(this.t('تعذر الإرسال: ', 'Send failed: ') + error.message);
+            }
+        }
+        this.refresh();
+    },
+
+    /**
+     * Discard one item (queued or dead-lettered) after confirmation
+     */
+    async discardItem(id, isDead) {
+        const confirmed = window.confirm(this.t(
+            'سيتم حذف هذا الطلب نهائياً ولن يصل إلى السيرفر. هل أنت متأكد؟',
+            'This request will be deleted and will never reach the server. Are you sure?'
+        ));
+        if (!confirmed) return;
+
+        try {
+            if (isDead) {
+                await OfflineOutbox.discardDeadLetter(id);
+            } else {
+                await OfflineOutbox.discard(id);
+            }
+        } catch (error) {
+            console.error('OutboxInspector: Failed to discard item', error);
+        }
+        this.refresh();
+    },
+
+    /**
+     * Download items as a JSON file
+     */
+    download(items, name) {
+        // Never write a session token to disk (items queued by older versions may hold one)
+        const exported = items.map(item => {
+            const { token, ...data } = this.parse(item.data);
+            return { ...item, data: data };
+        });
+        const blob = new Blob([JSON.stringify(exported, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${name}-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    },
+
+    parse(data) {
+        try {
+            return JSON.parse(data) || {};
+        } catch (e) {
+            return {};
+        }
+    },
+
+    formatAge(timestamp) {
+        const minutes = Math.floor((Date.now() - (timestamp || Date.now())) / 60000);
+        if (minutes < 1) return this.t('الآن', 'just now');
+        if (minutes < 60) return this.t(`منذ ${minutes} د`, `${minutes} min ago`);
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return this.t(`منذ ${hours} س`, `${hours} h ago`);
+        return this.t(`منذ ${Math.floor(hours / 24)} يوم`, `${Math.floor(hours / 24)} d ago`);
+    },
+
+    escape(text) {
+        return String(text).replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        }[c]));
+    }
+};
+
+// Auto-initialize
+if (typeof window !== 'undefined') {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => OutboxInspector.init());
+    } else {
+        OutboxInspector.init();
+    }
+}
@@ -0,0 +1,41 @@
+// Generated by tools/build-precache-manifest.js - do not edit by hand.
+// Run `node tools/build-precache-manifest.js` after changing any app file.
+self.__PRECACHE_MANIFEST = {
+  version: '568b1c2f163b',
+  files: [
+    { url: './admin-interface.html', revision: '755a8cf9330c3296', required: true },
+    { url: './app-bus.js', revision: '32ebd9b764cd9042', required: true },
+    { url: './app-updater.js', revision: '00602cbfc798f0ec', required: true },
+    { url: './browserconfig.xml', revision: 'a0fbd1af4167657f', required: false },
+    { url: './circuit-breaker.js', revision: '3f4676c27bac75fb', required: true },
+    { url: './connection-monitor.js', revision: '55363925cdeb42df', required: true },
+    { url: './data-cache.js', revision: 'e67b0264b80aade2', required: true },
+    { url: './driver-interface.html', revision: '5c597e3c3bded059', required: true },
+    { url: './fast-hash.js', revision: '8548ef3ec2a576db', required: true },
+    { url: './hash-worker.js', revision: 'e15667572c5af075', required: true },
+    { url: './health-timeline.js', revision: '177f4eb0d89a54d7', required: true },
+    { url: './icon-144x144.png', revision: '97b961999e0bfa3e', required: false },
+    { url: './icon-192x192.png', revision: 'c4cb78637e34fbd5', required: false },
+    { url: './icon-48x48.png', revision: 'f699e7f673dadf00', required: false },
+    { url: './icon-512x512.png', revision: '892197349d941696', required: false },
+    { url: './icon-72x72.png', revision: 'f763af3c7a2e811f', required: false },
+    { url: './icon-96x96.png', revision: '8ec0f2ead597bda3', required: false },
+    { url: './login.html', revision: '1750629382fc33b0', required: true },
+    { url: './manifest-ar.json', revision: '60cef734117a718a', required: true },
+    { url: './manifest-en.json', revision: '807bc8d02f542998', required: true },
+    { url: './manifest.json', revision: '60cef734117a718a', required: true },
+    { url: './moh-logo.png', revision: 'eaa8864b21cc3789', required: false },
+    { url: './moh-photo_Page_1.png', revision: '88bfff5125ee1198', required: false },
+    { url: './nurse-interface.html', revision: 'd770c9f712b7e35d', required: true },
+    { url: './offline-outbox.js', revision: 'a9c697d215ec3c74', required: true },
+    { url: './og-image.png', revision: '151b7ffd0271a473', required: false },
+    { url: './outbox-inspector.js', revision: '696fe9cb6e6cc07b', required: true },
+    { url: './request-optimizer.js', revision: 'f52c93227d14789d', required: true },
+    { url: './responsive-ui.css', revision: '39615ce7a2090bc4', required: true },
+    { url: './session-manager.js', revision: 'ee9af5825b124163', required: true },
+    { url: './settings-interface.html', revision: '984dc7aeefb26db4', required: true },
+    { url: './staff-registry.js', revision: '243664936ef87db3', required: true },
+    { url: './sync-health.js', revision: '46f5f03a013ec9f0', required: true },
+    { url: './ui-optimizer.js', revision: '95f7b60c7ed54510', required: true }
+  ]
+};
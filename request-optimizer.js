@@ -3,13 +3,15 @@
  * Advanced request management for slow/unstable internet connections
  * 
  * Features:
- * 1. Request queue with priority system
- * 2. Automatic retry with exponential backoff
+ * 1. Request queue with priority system (writes first, background reads cancellable)
+ * 2. Automatic retry with jittered exponential backoff, Retry-After and the shared CircuitBreaker
  * 3. Request deduplication
  * 4. Timeout handling
- * 5. Offline queue with persistence
- * 6. Request batching
- * 7. Connection quality detection
+ * 5. Offline queue with persistence (shared OfflineOutbox)
+ * 6. Request batching (GET actions within BATCH_DELAY -> one action=batch call)
+ * 7. Online state and adaptive timeouts from the shared ConnectionMonitor service
+ * 8. Idempotency keys for write actions
+ * 9. Write actions carry the session token and acting staff number (SessionManager)
  */
 
 const RequestOptimizer = {
@@ -22,89 +24,78 @@ const RequestOptimizer = {
         MAX_RETRY_DELAY: 10000,       // 10 seconds
         CONCURRENT_REQUESTS: 2,       // Max parallel requests
         BATCH_DELAY: 300,             // Batch requests within 300ms
-        OFFLINE_QUEUE_KEY: 'offline_request_queue'
+        MAX_BATCH_SIZE: 10            // Actions per batch call (keeps the GET URL short)
+    },
+
+    // Scheduling priorities - lower runs first.
+    // high: departure / return / case submissions, low: cache refreshes (stats, history)
+    PRIORITIES: {
+        high: 0,
+        normal: 1,
+        low: 2
+    },
+
+    // Fetch Priority hints for the browser
+    FETCH_PRIORITY: {
+        high: 'high',
+        normal: 'auto',
+        low: 'low'
     },
 
     // State
     state: {
         queue: [],
+        running: new Set(),
+        sequence: 0,
+        batches: new Map(),           // endpoint -> { entries, timer }
+        batchUnsupported: false,      // backend answered action=batch with an error
         activeRequests: 0,
         inflightRequests: new Map(),
-        offlineQueue: [],
-        isOnline: navigator.onLine,
-        connectionQuality: 'good' // good, fair, poor
+        queuedRequests: 0
     },
 
     /**
      * Initialize the optimizer
      */
     init() {
-        this.loadOfflineQueue();
+        OfflineOutbox.migrateLegacy()
+            .then(() => this.refreshQueuedCount())
+            .catch(e => console.error('RequestOptimizer: Failed to migrate offline queue', e));
+        OfflineOutbox.registerPeriodicSync();
         this.setupOnlineListener();
-        this.detectConnectionQuality();
         this.processQueue();
         
-        // Auto-detect connection quality every 30 seconds
-        setInterval(() => this.detectConnectionQuality(), 30000);
+        // Retry the outbox every 30 seconds once queued items are past their backoff
+        setInterval(() => {
+            if (ConnectionMonitor.isOnline() && this.state.queuedRequests > 0) {
+                this.processOfflineQueue();
+            }
+        }, 30000);
     },
 
     /**
-     * Setup online/offline listeners
+     * Resume work when the shared ConnectionMonitor reports the connection back
      */
     setupOnlineListener() {
-        window.addEventListener('online', () => {
+        ConnectionMonitor.subscribe('online', () => {
             console.log('RequestOptimizer: Connection restored');
-            this.state.isOnline = true;
             this.processOfflineQueue();
             this.processQueue();
         });
 
-        window.addEventListener('offline', () => {
+        ConnectionMonitor.subscribe('offline', () => {
             console.log('RequestOptimizer: Connection lost');
-            this.state.isOnline = false;
         });
     },
 
     /**
-     * Detect connection quality using timing
-     */
-    async detectConnectionQuality() {
-        if (!navigator.onLine) {
-            this.state.connectionQuality = 'offline';
-            return;
-        }
-
-        try {
-            const start = Date.now();
-            // Use a small image for speed test
-            const response = await fetch('data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', {
-                method: 'GET',
-                cache: 'no-cache'
-            });
-            const duration = Date.now() - start;
-
-            if (duration < 100) {
-                this.state.connectionQuality = 'good';
-            } else if (duration < 500) {
-                this.state.connectionQuality = 'fair';
-            } else {
-                this.state.connectionQuality = 'poor';
-            }
-        } catch (e) {
-            this.state.connectionQuality = 'poor';
-        }
-    },
-
-    /**
-     * Get adaptive timeout based on connection quality
+     * Adaptive timeout from ConnectionMonitor's measured quality
      */
     getAdaptiveTimeout() {
-        switch (this.state.connectionQuality) {
-            case 'good': return this.config.INITIAL_TIMEOUT;
-            case 'fair': return this.config.INITIAL_TIMEOUT * 1.5;
-            case 'poor': return this.config.MAX_TIMEOUT;
-            default: return this.config.MAX_TIMEOUT;
-        }
+        return Math.min(
+            ConnectionMonitor.getAdaptiveTimeout(this.config.INITIAL_TIMEOUT),
+            this.config.MAX_TIMEOUT
+        );
     },
 
     /**
@@ -120,7 +111,9 @@ const RequestOptimizer = {
         }
 
         // Create request promise
-        const requestPromise = this._executeRequest(url, options);
+        const requestPromise = options.batchable && !this.state.batchUnsupported
+            ? this.batch(url, options)
+            : this.schedule(url, options);
         this.state.inflightRequests.set(requestId, requestPromise);
 
         try {
@@ -131,44 +124,264 @@ const RequestOptimizer = {
         }
     },
 
+    /**
+     * Put a request on the priority queue; it starts when a slot is free.
+     * A high-priority request pushes running background reads back into the queue.
+     */
+    schedule(url, options = {}) {
+        const priority = this.PRIORITIES[options.priority] !== undefined ? options.priority : 'normal';
+
+        return new Promise((resolve, reject) => {
+            this.enqueue({
+                url,
+                options,
+                priority,
+                resolve,
+                reject,
+                seq: this.state.sequence++,
+                controller: null,
+                preempted: false
+            });
+            if (priority === 'high') {
+                this.preemptBackground();
+            }
+            this.processQueue();
+        });
+    },
+
+    /**
+     * Collect a GET action for the next batch call to the same endpoint.
+     *
+     * Backend contract:
+     *   GET WEB_APP_URL?action=batch&requests=[{"action":"getPendingTrips"},{"action":"getVehicles"}]
+     *   -> { success: true, results: [ <getPendingTrips response>, <getVehicles response> ] }
+     * Each request object carries the action's own query parameters; results keep the same
+     * order and are exactly what the single action would have returned.
+     */
+    batch(url, options) {
+        const parsed = new URL(url, window.location.href);
+        const endpoint = parsed.origin + parsed.pathname;
+        const params = Object.fromEntries(parsed.searchParams.entries());
+
+        return new Promise((resolve, reject) => {
+            let pending = this.state.batches.get(endpoint);
+            if (!pending) {
+                pending = { entries: [], timer: null };
+                pending.timer = setTimeout(() => this.flushBatch(endpoint), this.config.BATCH_DELAY);
+                this.state.batches.set(endpoint, pending);
+            }
+            pending.entries.push({ url, options, params, resolve, reject });
+
+            if (pending.entries.length >= this.config.MAX_BATCH_SIZE) {
+                this.flushBatch(endpoint);
+            }
+        });
+    },
+
+    /**
+     * Send the collected actions as one call and hand each result to its caller
+     */
+    async flushBatch(endpoint) {
+        const pending = this.state.batches.get(endpoint);
+        if (!pending) return;
+        clearTimeout(pending.timer);
+        this.state.batches.delete(endpoint);
+
+        const entries = pending.entries;
+        const sendSingly = () => entries.forEach(entry => {
+            this.schedule(entry.url, entry.options).then(entry.resolve, entry.reject);
+        });
+
+        if (entries.length === 1) {
+            sendSingly();
+            return;
+        }
+
+        // The batch runs at the most urgent priority among its actions
+        const priority = entries
+            .map(entry => entry.options.priority || 'normal')
+            .sort((a, b) => this.PRIORITIES[a] - this.PRIORITIES[b])[0];
+        const requests = encodeURIComponent(JSON.stringify(entries.map(entry => entry.params)));
+
+        let result;
+        try {
+            result = await this.schedule(`${endpoint}?action=batch&requests=${requests}`, {
+                priority,
+                responseType: 'json'
+            });
+        } catch (error) {
+            entries.forEach(entry => entry.reject(error));
+            return;
+        }
+
+        if (!result || !Array.isArray(result.results) || result.results.length !== entries.length) {
+            // Backend without the batch handler - stop batching and send each action on its own
+            console.warn('RequestOptimizer: Batch not supported by backend, sending separately');
+            this.state.batchUnsupported = true;
+            sendSingly();
+            return;
+        }
+
+        console.log(`RequestOptimizer: ${entries.length} actions sent in one batch`);
+        entries.forEach((entry, i) => entry.resolve(result.results[i]));
+    },
+
+    /**
+     * Insert by priority, first-in-first-out within the same priority
+     */
+    enqueue(entry) {
+        const rank = this.PRIORITIES[entry.priority];
+        const index = this.state.queue.findIndex(queued => {
+            const queuedRank = this.PRIORITIES[queued.priority];
+            return queuedRank > rank || (queuedRank === rank && queued.seq > entry.seq);
+        });
+        if (index === -1) {
+            this.state.queue.push(entry);
+        } else {
+            this.state.queue.splice(index, 0, entry);
+        }
+    },
+
+    /**
+     * True while a high-priority request is queued or running
+     */
+    hasPendingWrites() {
+        return this.state.queue.some(entry => entry.priority === 'high') ||
+            Array.from(this.state.running).some(entry => entry.priority === 'high');
+    },
+
+    /**
+     * Abort running background reads so a write gets the connection.
+     * They go back into the queue and their callers still get a result.
+     */
+    preemptBackground() {
+        this.state.running.forEach(entry => {
+            if (entry.priority === 'low' && entry.options.cancellable !== false) {
+                console.log('RequestOptimizer: Pausing background request', entry.url);
+                entry.preempted = true;
+                entry.controller.abort();
+            }
+        });
+    },
+
+    /**
+     * Cancel all background reads (queued and running)
+     */
+    cancelBackground() {
+        const cancelled = this.state.queue.filter(entry => entry.priority === 'low');
+        this.state.queue = this.state.queue.filter(entry => entry.priority !== 'low');
+        cancelled.forEach(entry => entry.reject(this.createAbortError()));
+
+        this.state.running.forEach(entry => {
+            if (entry.priority === 'low') entry.controller.abort();
+        });
+    },
+
+    createAbortError() {
+        const error = new Error('Request cancelled');
+        error.name = 'AbortError';
+        return error;
+    },
+
+    /**
+     * Create a client-side idempotency key for a write action
+     */
+    createIdempotencyKey() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 12);
+    },
+
+    /**
+     * Send a write action (driverDeparture, driverReturn, submitCase).
+     * The payload keeps its idempotencyKey across retries and offline replays;
+     * the backend answers a key it has already stored with
+     * { success: true, duplicate: true } instead of adding a second row.
+     * @param {string} permission - Permission the action is sent under
+     */
+    async sendAction(url, payload, permission) {
+        if (!payload.idempotencyKey) {
+            payload.idempotencyKey = this.createIdempotencyKey();
+        }
+
+        // Signed with the session token and acting staff number, refusals
+        // handled like every other authenticated action
+        const auth = typeof SessionManager !== 'undefined' ? SessionManager : null;
+        if (auth && !auth.can(permission)) {
+            return auth.refuse(auth.REJECTIONS.NOT_PERMITTED, payload.action);
+        }
+
+        const sending = this.request(url, {
+            method: 'POST',
+            priority: 'high',
+            // Callers branch on result.success
+            responseType: 'json',
+            headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+            body: JSON.stringify(auth ? auth.signedBody(payload, permission) : payload)
+        }).then(result => auth ? auth.checkResult(result, 200, payload.action) : result, error => {
+            if (auth && (error.status === 401 || error.status === 403)) {
+                return auth.checkResult(null, error.status, payload.action);
+            }
+            throw error;
+        });
+        // An app update waits until the submission settles
+        return typeof AppUpdater !== 'undefined' ? AppUpdater.track(sending) : sending;
+    },
+
     /**
      * Execute request with retry logic
      */
-    async _executeRequest(url, options = {}) {
-        const priority = options.priority || 'normal';
+    async _executeRequest(url, options = {}, signal = null) {
         const maxRetries = options.maxRetries || this.config.MAX_RETRIES;
         let lastError = null;
 
         for (let attempt = 0; attempt <= maxRetries; attempt++) {
             try {
+                if (signal && signal.aborted) {
+                    throw this.createAbortError();
+                }
+
                 // If offline, queue the request
-                if (!this.state.isOnline && options.method === 'POST') {
+                if (!ConnectionMonitor.isOnline() && options.method === 'POST') {
                     return await this.queueOfflineRequest(url, options);
                 }
 
+                // Backend known to be down - writes wait in the outbox, reads fail fast
+                if (!CircuitBreaker.canRequest()) {
+                    if (options.method === 'POST') {
+                        return await this.queueOfflineRequest(url, options);
+                    }
+                    throw this.createCircuitOpenError();
+                }
+
                 // Execute with timeout
                 const timeout = this.getAdaptiveTimeout();
-                const result = await this.fetchWithTimeout(url, options, timeout);
+                const result = await this.fetchWithTimeout(url, options, timeout, signal);
+                CircuitBreaker.recordSuccess();
                 
                 // Success - return result
                 return result;
 
             } catch (error) {
                 lastError = error;
+                if (error.circuitOpen) throw error;
+
                 console.warn(`RequestOptimizer: Attempt ${attempt + 1}/${maxRetries + 1} failed`, error.message);
+                CircuitBreaker.recordFailure(error, url);
 
-                // Don't retry on certain errors
-                if (error.name === 'AbortError' || error.status === 400 || error.status === 401) {
+                // Don't retry cancellations or client errors (408 / 429 are worth retrying)
+                if (error.name === 'AbortError' || this.isClientError(error)) {
                     throw error;
                 }
 
-                // Wait before retry (exponential backoff)
+                // Wait before retry - the server's Retry-After, else jittered exponential backoff.
+                // A longer Retry-After has opened the circuit; the next attempt queues or fails fast.
                 if (attempt < maxRetries) {
-                    const delay = Math.min(
-                        this.config.RETRY_DELAY * Math.pow(2, attempt),
-                        this.config.MAX_RETRY_DELAY
-                    );
-                    await this.sleep(delay);
+                    const delay = error.retryAfter || this.backoffDelay(attempt);
+                    if (delay <= this.config.MAX_RETRY_DELAY) {
+                        await this.sleep(delay);
+                    }
                 }
             }
         }
@@ -177,16 +390,44 @@ const RequestOptimizer = {
         throw lastError || new Error('Request failed after all retries');
     },
 
+    /**
+     * Exponential backoff with ±25% jitter so pages do not retry in lockstep
+     */
+    backoffDelay(attempt) {
+        const base = Math.min(
+            this.config.RETRY_DELAY * Math.pow(2, attempt),
+            this.config.MAX_RETRY_DELAY
+        );
+        return Math.round(base * (0.75 + Math.random() * 0.5));
+    },
+
+    isClientError(error) {
+        return error.status >= 400 && error.status < 500 && error.status !== 408 && error.status !== 429;
+    },
+
+    createCircuitOpenError() {
+        const seconds = Math.ceil(CircuitBreaker.remaining() / 1000);
+        const error = new Error(`Server unavailable - retrying in ${seconds}s`);
+        error.circuitOpen = true;
+        return error;
+    },
+
     /**
      * Fetch with timeout
      */
-    async fetchWithTimeout(url, options, timeout) {
+    async fetchWithTimeout(url, options, timeout, signal = null) {
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), timeout);
+        const onCancel = () => controller.abort();
+        if (signal) signal.addEventListener('abort', onCancel);
+
+        // Scheduler options are not fetch options
+        const { priority, maxRetries, cancellable, responseType, batchable, ...fetchOptions } = options;
 
         try {
             const response = await fetch(url, {
-                ...options,
+                ...fetchOptions,
+                priority: this.FETCH_PRIORITY[priority] || 'auto',
                 signal: controller.signal
             });
 
@@ -195,104 +436,75 @@ const RequestOptimizer = {
             if (!response.ok) {
                 const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
                 error.status = response.status;
+                if (response.status === 429 || response.status === 503) {
+                    error.retryAfter = CircuitBreaker.retryAfterMs(response);
+                }
                 throw error;
             }
 
             // Parse response
             const contentType = response.headers.get('content-type');
-            if (contentType && contentType.includes('application/json')) {
-                return await response.json();
+            if (responseType === 'json' || (contentType && contentType.includes('application/json'))) {
+                const result = await response.json();
+                // Server-declared backoff (Apps Script cannot set Retry-After)
+                if (result && result.success === false && result.retryAfter) {
+                    const error = new Error(result.error || result.message || 'Server busy');
+                    error.retryAfter = Number(result.retryAfter) * 1000;
+                    throw error;
+                }
+                return result;
             }
             return await response.text();
 
         } catch (error) {
             clearTimeout(timeoutId);
             if (error.name === 'AbortError') {
+                if (signal && signal.aborted) throw this.createAbortError();
                 throw new Error('Request timeout');
             }
             throw error;
+        } finally {
+            if (signal) signal.removeEventListener('abort', onCancel);
         }
     },
 
     /**
-     * Queue offline request
+     * Queue offline request in the shared outbox
      */
     async queueOfflineRequest(url, options) {
-        const request = {
-            id: Date.now() + '_' + Math.random(),
-            url: url,
-            options: options,
-            timestamp: Date.now(),
-            retries: 0
-        };
-
-        this.state.offlineQueue.push(request);
-        this.saveOfflineQueue();
+        if (!OfflineOutbox.canQueue(options.body || '')) {
+            return OfflineOutbox.offlineResult();
+        }
+        const item = await OfflineOutbox.enqueue(url, options.body || '');
+        this.refreshQueuedCount();
 
-        console.log('RequestOptimizer: Request queued for offline sync', request.id);
+        console.log('RequestOptimizer: Request queued for offline sync', item.id);
 
-        return {
-            success: true,
-            offline: true,
-            queued: true,
-            message: 'تم حفظ الطلب وسيتم إرساله عند توفر الإنترنت'
-        };
+        return OfflineOutbox.queuedResult(item, await OfflineOutbox.position(item.id));
     },
 
     /**
      * Process offline queue when connection restored
      */
     async processOfflineQueue() {
-        if (this.state.offlineQueue.length === 0) return;
-
-        console.log(`RequestOptimizer: Processing ${this.state.offlineQueue.length} offline requests`);
-
-        const queue = [...this.state.offlineQueue];
-        this.state.offlineQueue = [];
-        this.saveOfflineQueue();
-
-        for (const request of queue) {
-            try {
-                await this._executeRequest(request.url, request.options);
-                console.log('RequestOptimizer: Offline request synced', request.id);
-            } catch (error) {
-                console.error('RequestOptimizer: Failed to sync offline request', error);
-                // Re-queue if failed
-                this.state.offlineQueue.push(request);
-            }
-        }
-
-        this.saveOfflineQueue();
-    },
-
-    /**
-     * Save offline queue to localStorage
-     */
-    saveOfflineQueue() {
         try {
-            localStorage.setItem(
-                this.config.OFFLINE_QUEUE_KEY,
-                JSON.stringify(this.state.offlineQueue)
-            );
-        } catch (e) {
-            console.error('RequestOptimizer: Failed to save offline queue', e);
+            await OfflineOutbox.requestSync();
+        } catch (error) {
+            console.error('RequestOptimizer: Failed to sync offline queue', error);
         }
+        this.refreshQueuedCount();
     },
 
     /**
-     * Load offline queue from localStorage
+     * Refresh the cached outbox size used by getConnectionStatus()
      */
-    loadOfflineQueue() {
+    async refreshQueuedCount() {
         try {
-            const saved = localStorage.getItem(this.config.OFFLINE_QUEUE_KEY);
-            if (saved) {
-                this.state.offlineQueue = JSON.parse(saved);
-                console.log(`RequestOptimizer: Loaded ${this.state.offlineQueue.length} offline requests`);
-            }
+            this.state.queuedRequests = await OfflineOutbox.count();
         } catch (e) {
-            console.error('RequestOptimizer: Failed to load offline queue', e);
-            this.state.offlineQueue = [];
+            console.error('RequestOptimizer: Failed to read offline queue', e);
         }
+        return this.state.queuedRequests;
     },
 
     /**
@@ -305,23 +517,37 @@ const RequestOptimizer = {
     },
 
     /**
-     * Process request queue
+     * Process request queue - start requests up to CONCURRENT_REQUESTS.
+     * Background reads wait while a write is queued or running.
      */
-    async processQueue() {
-        if (this.state.queue.length === 0) return;
-        if (this.state.activeRequests >= this.config.CONCURRENT_REQUESTS) return;
-
-        const request = this.state.queue.shift();
-        if (!request) return;
+    processQueue() {
+        while (this.state.queue.length > 0 && this.state.activeRequests < this.config.CONCURRENT_REQUESTS) {
+            if (this.state.queue[0].priority === 'low' && this.hasPendingWrites()) break;
+            this.runEntry(this.state.queue.shift());
+        }
+    },
 
+    /**
+     * Run one scheduled request and settle its promise
+     */
+    async runEntry(entry) {
+        entry.controller = new AbortController();
+        entry.preempted = false;
         this.state.activeRequests++;
+        this.state.running.add(entry);
 
         try {
-            const result = await this._executeRequest(request.url, request.options);
-            request.resolve(result);
+            const result = await this._executeRequest(entry.url, entry.options, entry.controller.signal);
+            entry.resolve(result);
         } catch (error) {
-            request.reject(error);
+            if (entry.preempted) {
+                // Paused for a write - run again later with the same promise
+                this.enqueue(entry);
+            } else {
+                entry.reject(error);
+            }
         } finally {
+            this.state.running.delete(entry);
             this.state.activeRequests--;
             this.processQueue(); // Process next in queue
         }
@@ -391,10 +617,11 @@ const RequestOptimizer = {
      */
     getConnectionStatus() {
         return {
-            isOnline: this.state.isOnline,
-            quality: this.state.connectionQuality,
-            queuedRequests: this.state.offlineQueue.length,
-            activeRequests: this.state.activeRequests
+            isOnline: ConnectionMonitor.isOnline(),
+            quality: ConnectionMonitor.getQuality(),
+            queuedRequests: this.state.queuedRequests,
+            activeRequests: this.state.activeRequests,
+            scheduledRequests: this.state.queue.length
         };
     }
 };
@@ -4,8 +4,21 @@
  * 
  * Features:
  * 1. Page protection - redirects to login if no valid session
- * 2. Auto-logout on inactivity (30 min for nurses/admin, 60 min for drivers)
+ * 2. Auto-logout on inactivity (30 min for nurses/admin, 60 min for drivers),
+ *    only once every open tab has been idle
  * 3. Session validation and expiry management
+ * 4. Patient data purge on logout (DataCache entries, cached API responses and
+ *    the outbox send credentials)
+ * 5. Logout in one tab logs out every open tab (AppBus)
+ * 6. Sessions carry a signed, expiring token issued by the backend at login
+ *    (staff number + PIN) - no token, a token for another user or an expired
+ *    token means no session
+ * 7. Per-user permission sets (roles: admin, supervisor, clerk,
+ *    nurse-in-charge, nurse, relief-driver, driver) checked for every page and
+ *    action - elements marked data-permission are hidden without it
+ * 8. Mutating actions are authenticated POSTs (session token + acting staff
+ *    number); a backend rejection shows the same "not permitted" notice on
+ *    every page
  */
 
 (function() {
@@ -18,6 +31,8 @@
         LOGIN_PAGE: 'login.html',
         SESSION_KEY: 'userSession',
         LANGUAGE_KEY: 'appLanguage',
+        // Last user activity in any tab (ms timestamp)
+        LAST_ACTIVITY_KEY: 'lastActivity',
 
         // Inactivity timeout in milliseconds
         TIMEOUT_NURSE: 30 * 60 * 1000,    // 30 minutes
@@ -28,7 +43,21 @@
         WARNING_BEFORE_LOGOUT: 60,         // Show warning 60 seconds before logout
 
         // Events that count as user activity
-        ACTIVITY_EVENTS: ['mousedown', 'mousemove', 'keydown', 'scroll', 'touchstart', 'click', 'input']
+        ACTIVITY_EVENTS: ['mousedown', 'mousemove', 'keydown', 'scroll', 'touchstart', 'click', 'input'],
+
+        // DataCache IndexedDB database, and the localStorage prefix older versions used
+        DATA_CACHE_DB: 'AmbulanceCacheDB',
+        DATA_CACHE_PREFIX: 'cache_',
+
+        // Apps Script backend - responses carry patient destinations and staff lookups
+        API_HOSTS: ['script.google.com', 'script.googleusercontent.com'],
+
+        // Backend answers for a mutating action it refuses (Apps Script cannot
+        // set the HTTP status, so they come as { success: false, error })
+        REJECTIONS: {
+            NOT_PERMITTED: 'NOT_PERMITTED',   // Valid token, permission missing
+            INVALID_TOKEN: 'INVALID_TOKEN'    // Missing, forged or expired token
+        }
     };
 
     // ============================================
@@ -50,35 +79,346 @@
         }
     }
 
+    // ============================================
+    // SESSION TOKEN
+    // ============================================
+    // Issued by the backend 'login' action:
+    //   <base64url(JSON payload)>.<base64url(HMAC-SHA256 signature)>
+    //   payload: { sub: staff number, role: user type, iat, exp } (seconds)
+    // Only the server holds the signing key, so the signature is checked there;
+    // here the token must decode, belong to the stored user and not be expired.
+    function decodeToken(token) {
+        if (typeof token !== 'string') return null;
+        const parts = token.split('.');
+        if (parts.length !== 2 || !parts[0] || !parts[1]) return null;
+        try {
+            const payload = JSON.parse(atob(parts[0].replace(/-/g, '+').replace(/_/g, '/')));
+            return payload && payload.sub && payload.role && payload.exp ? payload : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function getTokenExpiry(session) {
+        const payload = session ? decodeToken(session.token) : null;
+        return payload ? payload.exp * 1000 : 0;
+    }
+
     function isValidSession(session) {
         if (!session) return false;
         if (!session.staffNumber || !session.type || !session.loginTime) return false;
-        return true;
+
+        const payload = decodeToken(session.token);
+        if (!payload) return false;
+        if (String(payload.sub) !== String(session.staffNumber) || payload.role !== session.type) return false;
+        return payload.exp * 1000 > Date.now();
     }
 
     function getPageType() {
         if (currentPage.includes('admin')) return 'admin';
         if (currentPage.includes('nurse')) return 'nurse';
         if (currentPage.includes('driver')) return 'driver';
-        if (currentPage.includes('settings')) return 'admin';
+        if (currentPage.includes('settings')) return 'settings';
         return null;
     }
 
+    // ============================================
+    // ROLES & PERMISSIONS
+    // ============================================
+    // Default permission set per role. A user's own list from the login
+    // response (user.permissions) replaces the default. The backend enforces
+    // the same permissions - hiding and blocking here is for the user only.
+    const ROLE_PERMISSIONS = {
+        admin: [
+            'page:admin', 'page:nurse', 'page:driver', 'page:settings',
+            'records:delete', 'records:archive', 'records:export', 'trips:delete',
+            'cases:edit-others', 'drivers:select-any', 'staff:manage', 'vehicles:manage',
+            'health:export'
+        ],
+        supervisor: ['page:admin'],                               // Read-only dashboard
+        clerk: ['page:admin', 'records:export'],                  // Export only
+        'nurse-in-charge': ['page:nurse', 'cases:edit-others'],
+        nurse: ['page:nurse'],
+        'relief-driver': ['page:driver', 'drivers:select-any'],
+        driver: ['page:driver']
+    };
+
+    // Roles share the inactivity timeout of the page family they work in
+    const ROLE_BASE = {
+        admin: 'admin',
+        supervisor: 'admin',
+        clerk: 'admin',
+        'nurse-in-charge': 'nurse',
+        nurse: 'nurse',
+        'relief-driver': 'driver',
+        driver: 'driver'
+    };
+
+    function getPermissions(session) {
+        if (!session) return [];
+        if (Array.isArray(session.permissions)) return session.permissions;
+        return ROLE_PERMISSIONS[session.type] || [];
+    }
+
+    function can(permission) {
+        const session = getSession();
+        return isValidSession(session) && getPermissions(session).includes(permission);
+    }
+
+    // Localized "not permitted" notice, shared by every page
+    function showNotPermitted(message) {
+        const isAr = (localStorage.getItem(SESSION_CONFIG.LANGUAGE_KEY) || 'ar') === 'ar';
+        const toast = document.createElement('div');
+        toast.setAttribute('role', 'alert');
+        toast.style.cssText = `
+            position: fixed; top: 16px; left: 50%; transform: translateX(-50%);
+            background: #fee2e2; color: #991b1b; padding: 12px 24px;
+            border-radius: 10px; font-size: 14px; font-weight: 600;
+            z-index: 100000; box-shadow: 0 4px 15px rgba(0,0,0,0.15);
+            direction: ${isAr ? 'rtl' : 'ltr'};
+        `;
+        toast.textContent = '⛔ ' + (message || (isAr
+            ? 'ليس لديك صلاحية لتنفيذ هذا الإجراء'
+            : 'You are not permitted to perform this action'));
+        document.body.appendChild(toast);
+        setTimeout(function() {
+            toast.remove();
+        }, 4000);
+    }
+
+    // Guard for an action: false (and the notice) without the permission
+    function requirePermission(permission) {
+        if (can(permission)) return true;
+        console.warn('SessionManager: Blocked action without permission', permission);
+        showNotPermitted();
+        return false;
+    }
+
+    // Who is acting and with which permission - sent with requests
+    function authFields(permission) {
+        const session = getSession() || {};
+        return {
+            actorStaffNumber: session.staffNumber || '',
+            role: session.type || '',
+            permission: permission
+        };
+    }
+
+    // ============================================
+    // AUTHENTICATED ACTIONS
+    // ============================================
+
+    // Token to send with requests the backend must authorize
+    function getToken() {
+        const session = getSession();
+        return isValidSession(session) ? session.token : null;
+    }
+
+    /**
+     * Backend contract for every mutating action:
+     *   POST { action, ...fields, token, actorStaffNumber, role, permission }
+     *   -> the action's usual result, or
+     *      { success: false, error: 'NOT_PERMITTED' | 'INVALID_TOKEN' }
+     *      (HTTP 403 / 401 are read the same way)
+     */
+    function rejectionOf(status, result) {
+        if (status === 401) return SESSION_CONFIG.REJECTIONS.INVALID_TOKEN;
+        if (status === 403) return SESSION_CONFIG.REJECTIONS.NOT_PERMITTED;
+        const error = result && result.error;
+        return Object.values(SESSION_CONFIG.REJECTIONS).includes(error) ? error : null;
+    }
+
+    // One handling for a refused action: notice, and a dead token ends the session
+    function handleRejection(rejection) {
+        if (rejection === SESSION_CONFIG.REJECTIONS.INVALID_TOKEN) {
+            const isAr = (localStorage.getItem(SESSION_CONFIG.LANGUAGE_KEY) || 'ar') === 'ar';
+            showNotPermitted(isAr
+                ? 'انتهت صلاحية الجلسة، يرجى تسجيل الدخول مرة أخرى'
+                : 'Your session has expired, please log in again');
+            setTimeout(logout, 2000);
+        } else {
+            showNotPermitted();
+        }
+    }
+
+    // Result of a refused action, after the notice was shown
+    function refuse(rejection, action) {
+        console.warn('SessionManager: Refused action', action, rejection);
+        handleRejection(rejection);
+        return { success: false, rejected: true, error: rejection };
+    }
+
+    // Server result, or the refused result when the backend rejected the action
+    function checkResult(result, status, action) {
+        const rejection = rejectionOf(status, result);
+        return rejection ? refuse(rejection, action) : result;
+    }
+
+    // Request body with the acting user and the session token
+    function signedBody(payload, permission) {
+        return Object.assign({}, payload, authFields(permission), {
+            token: getToken()
+        });
+    }
+
+    /**
+     * Send a mutating action as an authenticated POST.
+     * Resolves with the server result; a refused action resolves with
+     * { success: false, rejected: true, error } after the notice was shown.
+     * Network failures reject, as fetch does.
+     */
+    function authorizedPost(url, payload, permission) {
+        if (!can(permission)) {
+            return Promise.resolve(refuse(SESSION_CONFIG.REJECTIONS.NOT_PERMITTED, payload.action));
+        }
+
+        let request = fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+            body: JSON.stringify(signedBody(payload, permission))
+        });
+        if (typeof AppUpdater !== 'undefined') {
+            request = AppUpdater.track(request);
+        }
+
+        return request.then(function(response) {
+            return response.json().catch(function() {
+                return { success: false, error: 'HTTP ' + response.status };
+            }).then(function(result) {
+                return checkResult(result, response.status, payload.action);
+            });
+        });
+    }
+
+    // Hide [data-permission] elements the user lacks, including rows rendered later
+    function applyPermissions(root) {
+        const elements = root.querySelectorAll ? Array.from(root.querySelectorAll('[data-permission]')) : [];
+        if (root.matches && root.matches('[data-permission]')) elements.push(root);
+        elements.forEach(function(el) {
+            if (!can(el.dataset.permission)) {
+                el.style.display = 'none';
+            }
+        });
+    }
+
+    function watchPermissions() {
+        applyPermissions(document);
+        new MutationObserver(function(mutations) {
+            mutations.forEach(function(mutation) {
+                mutation.addedNodes.forEach(function(node) {
+                    if (node.nodeType === 1) applyPermissions(node);
+                });
+            });
+        }).observe(document.body, { childList: true, subtree: true });
+    }
+
     function canAccessPage(session, pageType) {
         if (!session || !pageType) return false;
+        return getPermissions(session).includes('page:' + pageType);
+    }
 
-        // Admin can access everything
-        if (session.type === 'admin') return true;
+    // ============================================
+    // LOGOUT & DATA PURGE
+    // ============================================
+    function purgeCachedData() {
+        // DataCache entries left in localStorage by older versions
+        const keysToRemove = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(SESSION_CONFIG.DATA_CACHE_PREFIX)) {
+                keysToRemove.push(key);
+            }
+        }
+        keysToRemove.forEach(function(key) {
+            localStorage.removeItem(key);
+        });
 
-        // Nurse can access nurse page
-        if (session.type === 'nurse' && pageType === 'nurse') return true;
+        return Promise.all([deleteDataCacheDB(), purgeApiResponses()]);
+    }
 
-        // Driver can access driver page
-        if (session.type === 'driver' && pageType === 'driver') return true;
+    function deleteDataCacheDB() {
+        if (!('indexedDB' in window)) return Promise.resolve();
+        return new Promise(function(resolve) {
+            const request = indexedDB.deleteDatabase(SESSION_CONFIG.DATA_CACHE_DB);
+            request.onsuccess = resolve;
+            request.onerror = function() {
+                console.warn('SessionManager: Failed to delete cached data', request.error);
+                resolve();
+            };
+            // Another tab still holds it open - it is deleted once that tab closes it
+            request.onblocked = resolve;
+        });
+    }
 
-        return false;
+    function purgeApiResponses() {
+        // API responses in Cache Storage (written by service workers before v29)
+        if (!('caches' in window)) return Promise.resolve();
+        return caches.keys().then(function(cacheNames) {
+            return Promise.all(cacheNames.map(function(cacheName) {
+                return caches.open(cacheName).then(function(cache) {
+                    return cache.keys().then(function(requests) {
+                        return Promise.all(requests
+                            .filter(function(request) {
+                                return SESSION_CONFIG.API_HOSTS.includes(new URL(request.url).hostname);
+                            })
+                            .map(function(request) {
+                                return cache.delete(request);
+                            }));
+                    });
+                });
+            }));
+        }).catch(function(e) {
+            console.warn('SessionManager: Failed to purge cached API responses', e);
+        });
+    }
+
+    // Credentials the outbox signs this user's queued items with (null deletes
+    // them). Pages without OfflineOutbox ask the service worker to store them.
+    function shareOutboxSession(session) {
+        const credentials = session ? {
+            staffNumber: session.staffNumber,
+            token: session.token,
+            expiresAt: getTokenExpiry(session)
+        } : null;
+        if (typeof OfflineOutbox !== 'undefined') {
+            return OfflineOutbox.setSession(credentials).catch(function(e) {
+                console.warn('SessionManager: Failed to store outbox credentials', e);
+            });
+        }
+        if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+            navigator.serviceWorker.controller.postMessage({ type: 'OUTBOX_SESSION', session: credentials });
+        }
+        return Promise.resolve();
+    }
+
+    function logout() {
+        localStorage.removeItem(SESSION_CONFIG.SESSION_KEY);
+        if (typeof AppBus !== 'undefined') {
+            AppBus.publish('logout');
+        }
+        return Promise.all([purgeCachedData(), shareOutboxSession(null)]).then(function() {
+            window.location.replace(SESSION_CONFIG.LOGIN_PAGE);
+        });
     }
 
+    window.SessionManager = {
+        logout: logout,
+        purgeCachedData: purgeCachedData,
+        getSession: getSession,
+        isValidSession: isValidSession,
+        getToken: getToken,
+        can: can,
+        require: requirePermission,
+        authFields: authFields,
+        showNotPermitted: showNotPermitted,
+        post: authorizedPost,
+        // For writes sent by RequestOptimizer / OfflineOutbox
+        REJECTIONS: SESSION_CONFIG.REJECTIONS,
+        signedBody: signedBody,
+        checkResult: checkResult,
+        refuse: refuse
+    };
+
     // ============================================
     // PAGE PROTECTION - Runs immediately
     // ============================================
@@ -87,8 +427,10 @@
         const pageType = getPageType();
 
         if (!isValidSession(session)) {
-            // No valid session - redirect to login
+            // No valid session - drop any data left behind and redirect to login
             localStorage.removeItem(SESSION_CONFIG.SESSION_KEY);
+            purgeCachedData();
+            shareOutboxSession(null);
             window.location.replace(SESSION_CONFIG.LOGIN_PAGE);
             // Stop all further execution
             throw new Error('SESSION_REDIRECT');
@@ -99,6 +441,30 @@
             window.location.replace(SESSION_CONFIG.LOGIN_PAGE);
             throw new Error('SESSION_REDIRECT');
         }
+
+        // Background Sync signs this user's queued items even after the app is closed
+        shareOutboxSession(session);
+    }
+
+    // ============================================
+    // PERMISSION-BASED UI
+    // ============================================
+    if (!isLoginPage) {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', watchPermissions);
+        } else {
+            watchPermissions();
+        }
+    }
+
+    // ============================================
+    // CROSS-TAB LOGOUT
+    // ============================================
+    if (!isLoginPage && typeof AppBus !== 'undefined') {
+        // The tab that logged out already removed the session and purged the data
+        AppBus.subscribe('logout', function() {
+            window.location.replace(SESSION_CONFIG.LOGIN_PAGE);
+        });
     }
 
     // ============================================
@@ -110,7 +476,7 @@
 
         // Determine timeout based on user type
         let timeoutDuration;
-        switch (session.type) {
+        switch (ROLE_BASE[session.type]) {
             case 'driver':
                 timeoutDuration = SESSION_CONFIG.TIMEOUT_DRIVER;
                 break;
@@ -201,8 +567,7 @@
 
             // Stay button handler
             document.getElementById('session-stay-btn').addEventListener('click', function() {
-                dismissWarning();
-                resetInactivityTimer();
+                recordActivity();
             });
 
             return overlay;
@@ -222,7 +587,7 @@
 
                 if (secondsLeft <= 0) {
                     clearInterval(countdownInterval);
-                    performLogout();
+                    logoutIfIdle();
                 }
             }, 1000);
         }
@@ -242,11 +607,38 @@
         // Perform logout
         function performLogout() {
             dismissWarning();
-            localStorage.removeItem(SESSION_CONFIG.SESSION_KEY);
-            window.location.replace(SESSION_CONFIG.LOGIN_PAGE);
+            logout();
+        }
+
+        // Log out when the token expires while the page stays open
+        function scheduleTokenExpiry() {
+            const remaining = getTokenExpiry(getSession()) - Date.now();
+            // setTimeout overflows above ~24.8 days
+            if (remaining < 0x7fffffff) {
+                setTimeout(performLogout, Math.max(remaining, 0));
+            }
+        }
+
+        // Idle time across all open tabs - a forgotten tab never logs out the one in use
+        function idleTime() {
+            const last = Number(localStorage.getItem(SESSION_CONFIG.LAST_ACTIVITY_KEY)) || 0;
+            return Date.now() - last;
+        }
+
+        function recordActivity() {
+            localStorage.setItem(SESSION_CONFIG.LAST_ACTIVITY_KEY, String(Date.now()));
+            resetInactivityTimer();
+        }
+
+        function logoutIfIdle() {
+            if (idleTime() >= timeoutDuration) {
+                performLogout();
+            } else {
+                resetInactivityTimer();
+            }
         }
 
-        // Reset inactivity timer
+        // Reset inactivity timer from the shared last activity
         function resetInactivityTimer() {
             // Clear existing timers
             if (inactivityTimer) clearTimeout(inactivityTimer);
@@ -255,16 +647,21 @@
             // Dismiss any existing warning
             dismissWarning();
 
-            // Set warning timer (fires before logout)
-            const warningTime = timeoutDuration - (SESSION_CONFIG.WARNING_BEFORE_LOGOUT * 1000);
+            const remaining = timeoutDuration - idleTime();
+
+            // Set warning timer (fires before logout) - another tab may have been used since
+            let warningTime = timeoutDuration - (SESSION_CONFIG.WARNING_BEFORE_LOGOUT * 1000);
+            if (warningTime <= 0) warningTime = timeoutDuration - 10000;
             warningTimer = setTimeout(function() {
-                showWarning();
-            }, warningTime > 0 ? warningTime : timeoutDuration - 10000);
+                if (idleTime() >= warningTime) {
+                    showWarning();
+                } else {
+                    resetInactivityTimer();
+                }
+            }, Math.max(remaining - (timeoutDuration - warningTime), 0));
 
             // Set logout timer
-            inactivityTimer = setTimeout(function() {
-                performLogout();
-            }, timeoutDuration);
+            inactivityTimer = setTimeout(logoutIfIdle, Math.max(remaining, 0));
         }
 
         // Listen for user activity
@@ -279,11 +676,18 @@
                     lastActivity = now;
                     // Only reset if warning is not showing
                     if (!warningModal) {
-                        resetInactivityTimer();
+                        recordActivity();
                     }
                 }
             }
 
+            // Activity in another tab restarts the countdown here too
+            window.addEventListener('storage', function(event) {
+                if (event.key === SESSION_CONFIG.LAST_ACTIVITY_KEY) {
+                    resetInactivityTimer();
+                }
+            });
+
             SESSION_CONFIG.ACTIVITY_EVENTS.forEach(function(eventName) {
                 document.addEventListener(eventName, onActivity, { passive: true });
             });
@@ -304,11 +708,13 @@
         if (document.readyState === 'loading') {
             document.addEventListener('DOMContentLoaded', function() {
                 setupActivityListeners();
-                resetInactivityTimer();
+                recordActivity();
+                scheduleTokenExpiry();
             });
         } else {
             setupActivityListeners();
-            resetInactivityTimer();
+            recordActivity();
+            scheduleTokenExpiry();
         }
     }
 
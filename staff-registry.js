@@ -0,0 +1,146 @@
+/**
+ * Staff Registry - سجل الموظفين
+ * Nurses and drivers, served by the backend - the only staff directory of the app
+ *
+ * Backend contract:
+ *   GET ?action=getNurses  -> { success, nurses:  [{ staffNumber, nameAr, nameEn }] }
+ *   GET ?action=getDrivers -> { success, drivers: [{ staffNumber, nameAr, nameEn, type }] }
+ *   (driver type: 'employee' | 'daily-paid')
+ *   Every record also carries the server's id and version.
+ *
+ *   Writes go through SessionManager.post (session token + acting staff number):
+ *   POST addNurse / addDriver       { nurse|driver fields }
+ *   POST updateNurse / updateDriver { id, version, fields }
+ *   POST deleteNurse / deleteDriver { id, version }
+ *   -> { success, nurse|driver } or, when another admin saved the record
+ *      since `version` (or the staff number is taken on add):
+ *      { success: false, conflict: true, current }  (current null = deleted)
+ *
+ * Features:
+ * 1. Lists cached through DataCache (KEYS.NURSES / KEYS.DRIVERS)
+ * 2. Offline fallback snapshot of the last lists in localStorage - kept on
+ *    logout (staff names are not patient data), so pages work offline
+ * 3. One record shape for every page
+ * 4. Lookup by staff number
+ * 5. Action names and payloads for the settings page CRUD
+ */
+
+const StaffRegistry = {
+    // Configuration
+    LISTS: {
+        nurses: {
+            action: 'getNurses', cacheKey: 'NURSES', snapshotKey: 'ambulance_nurses',
+            add: 'addNurse', update: 'updateNurse', remove: 'deleteNurse'
+        },
+        drivers: {
+            action: 'getDrivers', cacheKey: 'DRIVERS', snapshotKey: 'ambulance_drivers',
+            add: 'addDriver', update: 'updateDriver', remove: 'deleteDriver'
+        }
+    },
+
+    /**
+     * Last known list (offline snapshot), [] before the first load
+     * @param {string} list - 'nurses' | 'drivers'
+     */
+    get(list) {
+        try {
+            const rows = JSON.parse(localStorage.getItem(this.LISTS[list].snapshotKey));
+            return Array.isArray(rows) ? rows : [];
+        } catch (e) {
+            return [];
+        }
+    },
+
+    getNurses() {
+        return this.get('nurses');
+    },
+
+    getDrivers() {
+        return this.get('drivers');
+    },
+
+    /**
+     * Find a nurse or driver by staff / civil number
+     * @returns {object|null} - The record plus role ('nurse' | 'driver')
+     */
+    find(staffNumber) {
+        const id = String(staffNumber);
+        for (const [list, role] of [['nurses', 'nurse'], ['drivers', 'driver']]) {
+            const match = this.get(list).find(row => row.staffNumber === id);
+            if (match) return { ...match, role: role };
+        }
+        return null;
+    },
+
+    /**
+     * Replace the offline snapshot of a list
+     */
+    save(list, rows) {
+        const normalized = rows.map(row => this._normalize(list, row));
+        localStorage.setItem(this.LISTS[list].snapshotKey, JSON.stringify(normalized));
+        return normalized;
+    },
+
+    /**
+     * DataCache extractor for a list response
+     */
+    extract(list) {
+        return result => (result.success && Array.isArray(result[list]))
+            ? result[list].map(row => this._normalize(list, row))
+            : null;
+    },
+
+    /**
+     * Show the cached list, then refresh it from the server.
+     * onChange(rows, meta) runs whenever the list shown should change.
+     */
+    async load(list, webAppUrl, onChange) {
+        const config = this.LISTS[list];
+        await DataCache.fetchWithCache(
+            `${webAppUrl}?action=${config.action}`,
+            DataCache.KEYS[config.cacheKey],
+            DataCache.EXPIRY[config.cacheKey],
+            (rows, meta) => {
+                if (!rows) return;
+                onChange(this.save(list, rows), meta);
+            },
+            this.extract(list)
+        );
+    },
+
+    /**
+     * Request body for a CRUD action
+     * @param {string} list - 'nurses' | 'drivers'
+     * @param {string} operation - 'add' | 'update' | 'remove'
+     * @param {object} record - Edited fields (add / update)
+     * @param {object} original - Server record being changed (update / remove)
+     */
+    actionPayload(list, operation, record, original) {
+        const payload = { action: this.LISTS[list][operation] };
+        if (operation !== 'remove') {
+            Object.assign(payload, this._normalize(list, record));
+            delete payload.id;
+            delete payload.version;
+        }
+        if (operation !== 'add') {
+            payload.id = original.id;
+            payload.version = original.version;
+        }
+        return payload;
+    },
+
+    _normalize(list, row) {
+        const record = {
+            nameAr: row.nameAr || '',
+            nameEn: row.nameEn || '',
+            staffNumber: String(row.staffNumber || '')
+        };
+        if (list === 'drivers') {
+            record.type = row.type || row.employeeType || 'employee';
+        }
+        // Server identity - records from older snapshots have none
+        if (row.id !== undefined) record.id = row.id;
+        if (row.version !== undefined) record.version = row.version;
+        return record;
+    }
+};
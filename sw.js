@@ -1,229 +1,345 @@
 // Service Worker for Ambulance Log PWA
 // نظام سجل الإسعاف - دعم العمل بدون إنترنت
-const CACHE_NAME = 'ambulance-log-v27-force-update';
-const OFFLINE_QUEUE_KEY = 'offline_queue';
-
-const urlsToCache = [
-  './',
-  './login.html',
-  './driver-interface.html',
-  './nurse-interface.html',
-  './admin-interface.html',
-  './settings-interface.html',
-  './moh-logo.png',
-  './moh-photo_Page_1.png',
-  './icon-512x512.png',
-  './icon-192x192.png',
-  './icon-144x144.png',
-  './icon-96x96.png',
-  './icon-72x72.png',
-  './icon-48x48.png',
-  './og-image.png',
-  './manifest.json',
-  './manifest-ar.json',
-  './manifest-en.json',
-  './browserconfig.xml',
-  // New optimization files
-  './request-optimizer.js',
-  './ui-optimizer.js',
-  './connection-monitor.js',
-  './data-cache.js',
-  './session-manager.js'
-];
 
-// Install event - Skip waiting to activate immediately
+// Shared circuit breaker, offline outbox and sync health log (same IndexedDB
+// stores the pages use), and the generated precache manifest
+// (node tools/build-precache-manifest.js)
+importScripts('./circuit-breaker.js', './sync-health.js', './offline-outbox.js', './precache-manifest.js');
+
+const MANIFEST = self.__PRECACHE_MANIFEST;
+const VERSION = MANIFEST.version;
+
+// Precache entries are keyed by content revision, so one cache serves every
+// version and an update only downloads files whose hash changed
+const PRECACHE = 'ambulance-precache';
+const RUNTIME = `ambulance-runtime-${VERSION}`;
+
+// HTML waits this long for the network before the cached copy is used
+const NETWORK_TIMEOUT_MS = 3000;
+
+// Apps Script backend (WEB_APP_URL) - never cached here: responses carry patient data.
+// API data is cached by DataCache in the pages and purged by SessionManager on logout.
+const API_HOSTS = ['script.google.com', 'script.googleusercontent.com'];
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// Absolute URL -> cache key with the revision, e.g. .../login.html?__rev=3f2a...
+const PRECACHE_KEYS = new Map(MANIFEST.files.map(entry => {
+  const url = new URL(entry.url, self.location).href;
+  const key = new URL(url);
+  key.searchParams.set('__rev', entry.revision);
+  return [url, key.href];
+}));
+
+function precacheKeyFor(url) {
+  const plain = new URL(url);
+  plain.search = '';
+  plain.hash = '';
+  return PRECACHE_KEYS.get(plain.href);
+}
+
+async function matchPrecache(url) {
+  const key = precacheKeyFor(url);
+  if (!key) return undefined;
+  const cache = await caches.open(PRECACHE);
+  return cache.match(key);
+}
+
+async function sha256Prefix(buffer, length) {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('')
+    .slice(0, length);
+}
+
+// Download one manifest entry unless that revision is already cached.
+// The content must hash to the manifest revision - a stale CDN copy is rejected.
+async function precacheEntry(cache, entry) {
+  const url = new URL(entry.url, self.location).href;
+  const key = precacheKeyFor(url);
+  if (await cache.match(key)) return false;
+
+  const response = await fetch(new Request(url, { cache: 'reload' }));
+  if (!response.ok) {
+    throw new Error(`${entry.url}: HTTP ${response.status}`);
+  }
+  const body = await response.clone().arrayBuffer();
+  const revision = await sha256Prefix(body, entry.revision.length);
+  if (revision !== entry.revision) {
+    throw new Error(`${entry.url}: expected revision ${entry.revision}, got ${revision}`);
+  }
+  await cache.put(key, response);
+  return true;
+}
+
+async function precacheAll() {
+  const cache = await caches.open(PRECACHE);
+  const results = await Promise.allSettled(MANIFEST.files.map(entry => precacheEntry(cache, entry)));
+
+  const failedRequired = [];
+  results.forEach((result, i) => {
+    if (result.status === 'fulfilled') return;
+    const entry = MANIFEST.files[i];
+    if (entry.required) {
+      failedRequired.push(result.reason.message);
+    } else {
+      console.warn('[SW] Optional file not cached:', result.reason.message);
+    }
+  });
+
+  if (failedRequired.length > 0) {
+    throw new Error(`Required shell files could not be cached:\n${failedRequired.join('\n')}`);
+  }
+
+  const fulfilled = results.filter(result => result.status === 'fulfilled');
+  const downloaded = fulfilled.filter(result => result.value).length;
+  console.log(`[SW] Precache ready: ${downloaded} downloaded, ${fulfilled.length - downloaded} unchanged`);
+}
+
+// Drop revisions the current manifest no longer lists
+async function cleanupPrecache() {
+  const cache = await caches.open(PRECACHE);
+  const current = new Set(PRECACHE_KEYS.values());
+  const requests = await cache.keys();
+  return Promise.all(requests
+    .filter(request => !current.has(request.url))
+    .map(request => cache.delete(request)));
+}
+
+// Install event - the new version waits until the user confirms the update (AppUpdater).
+// A required shell file that cannot be cached fails the install; the old version stays active.
 self.addEventListener('install', event => {
-  console.log('[SW] Installing Service Worker v27-force-update...');
-  self.skipWaiting();
+  console.log(`[SW] Installing Service Worker ${VERSION}...`);
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then(cache => {
-        console.log('[SW] Caching app shell...');
-        // Cache files one by one to avoid failures
-        return Promise.allSettled(
-          urlsToCache.map(url => 
-            cache.add(url).catch(err => {
-              console.warn(`[SW] Failed to cache ${url}:`, err);
-              return null;
-            })
-          )
-        );
-      })
+    precacheAll()
       .then(() => console.log('[SW] Installation complete'))
-      .catch(err => console.error('[SW] Installation failed:', err))
+      .catch(err => {
+        console.error('[SW] Installation failed:', err);
+        throw err;
+      })
   );
 });
 
-// Fetch event - Network First with Offline Queue for POST requests
+// Routing table for GET requests - first match wins.
+// A route without a strategy is left to the browser (no respondWith, nothing cached).
+const ROUTES = [
+  {
+    // ConnectionMonitor network probes must measure the network, not the cache
+    name: 'probe',
+    match: url => url.searchParams.has('__probe'),
+    strategy: null
+  },
+  {
+    name: 'api',
+    match: url => API_HOSTS.includes(url.hostname),
+    strategy: null
+  },
+  {
+    name: 'html',
+    match: (url, request) => request.mode === 'navigate' ||
+      (url.origin === self.location.origin && url.pathname.endsWith('.html')),
+    strategy: networkFirstWithTimeout
+  },
+  {
+    name: 'precache',
+    match: url => !!precacheKeyFor(url.href),
+    strategy: precacheFirst
+  },
+  {
+    name: 'assets',
+    match: url => url.origin === self.location.origin,
+    strategy: staleWhileRevalidate
+  },
+  {
+    name: 'fonts',
+    match: url => FONT_HOSTS.includes(url.hostname),
+    strategy: staleWhileRevalidate
+  }
+];
+
+// Fetch event - routing table for GET, offline queue for POST
 self.addEventListener('fetch', event => {
-  const url = new URL(event.request.url);
-  
+  const request = event.request;
+
   // Handle POST requests (data submissions)
-  if (event.request.method === 'POST') {
-    event.respondWith(handlePostRequest(event.request.clone()));
-    return;
-  }
-  
-  // Handle navigation requests (HTML pages) - Network First with login fallback
-  if (event.request.mode === 'navigate') {
-    event.respondWith(
-      fetch(event.request)
-        .then(response => {
-          if (response.status === 200) {
-            const responseClone = response.clone();
-            caches.open(CACHE_NAME).then(cache => {
-              cache.put(event.request, responseClone);
-            });
-          }
-          return response;
-        })
-        .catch(() => {
-          return caches.match(event.request)
-            .then(cached => {
-              // If no cached version, fallback to login page
-              return cached || caches.match('./login.html');
-            });
-        })
-    );
+  if (request.method === 'POST') {
+    event.respondWith(handlePostRequest(request.clone()));
     return;
   }
-  
-  // Handle GET requests - Network First
-  event.respondWith(
-    fetch(event.request)
-      .then(response => {
-        if (response.status === 200) {
-          const responseClone = response.clone();
-          caches.open(CACHE_NAME).then(cache => {
-            cache.put(event.request, responseClone);
-          });
-        }
-        return response;
-      })
-      .catch(() => {
-        return caches.match(event.request);
-      })
-  );
+
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  const route = ROUTES.find(r => r.match(url, request));
+  if (!route || !route.strategy) return;
+
+  event.respondWith(route.strategy(event, request));
 });
 
+// Precached files change only with a new manifest, never in the runtime cache
+function putInRuntimeCache(request, response) {
+  if (precacheKeyFor(request.url)) return Promise.resolve();
+  const copy = response.clone();
+  return caches.open(RUNTIME)
+    .then(cache => cache.put(request, copy))
+    .catch(err => console.warn('[SW] Cache write failed:', err));
+}
+
+// App shell from the precache - revalidation happens through the manifest
+async function precacheFirst(event, request) {
+  const cached = await matchPrecache(request.url);
+  return cached || fetch(request);
+}
+
+// Cache first, then refresh the cached copy in the background
+async function staleWhileRevalidate(event, request) {
+  const cached = await caches.match(request);
+
+  const network = fetch(request).then(response => {
+    // Opaque = cross-origin font files without CORS
+    if (response.ok || response.type === 'opaque') {
+      event.waitUntil(putInRuntimeCache(request, response));
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network;
+}
+
+// Network first for HTML, but only wait NETWORK_TIMEOUT_MS before using the cached page
+async function networkFirstWithTimeout(event, request) {
+  const network = fetch(request).then(response => {
+    if (response.status === 200) {
+      event.waitUntil(putInRuntimeCache(request, response));
+    }
+    return response;
+  });
+
+  try {
+    return await withTimeout(network, NETWORK_TIMEOUT_MS);
+  } catch (error) {
+    // The precached page matches the precached scripts of this version
+    const cached = (await matchPrecache(request.url)) ||
+      (await caches.match(request, { ignoreSearch: true }));
+    if (cached) {
+      // Let the slow response still refresh the cache
+      event.waitUntil(network.catch(() => {}));
+      return cached;
+    }
+  }
+
+  // Nothing cached - keep waiting for the network, then fall back to login page
+  try {
+    return await network;
+  } catch (error) {
+    return (await matchPrecache(new URL('./login.html', self.location).href)) || Response.error();
+  }
+}
+
+function withTimeout(promise, ms) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('Network timeout')), ms);
+    promise.then(
+      value => { clearTimeout(timer); resolve(value); },
+      error => { clearTimeout(timer); reject(error); }
+    );
+  });
+}
+
 // Handle POST requests with offline support
 async function handlePostRequest(request) {
+  // Read the body first - a failed fetch may already have consumed it
+  const requestData = await request.clone().text();
+
   try {
     const response = await fetch(request);
     return response;
   } catch (error) {
+    // Login and PIN changes are never stored for later
+    if (!OfflineOutbox.canQueue(requestData)) {
+      return new Response(JSON.stringify(OfflineOutbox.offlineResult()), {
+        status: 503,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
     // Network failed - queue the request for later
-    const requestData = await request.text();
-    await queueOfflineRequest(request.url, requestData);
+    const item = await OfflineOutbox.enqueue(request.url, requestData);
+    const position = await OfflineOutbox.position(item.id);
     
-    // Return a fake success response
-    return new Response(JSON.stringify({
-      success: true,
-      offline: true,
-      message: 'تم حفظ البيانات محلياً وسيتم إرسالها عند توفر الإنترنت'
-    }), {
-      status: 200,
+    // Tell the page the truth: accepted for later, not recorded yet
+    return new Response(JSON.stringify(OfflineOutbox.queuedResult(item, position)), {
+      status: 202,
       headers: { 'Content-Type': 'application/json' }
     });
   }
 }
 
-// Queue offline request in IndexedDB
-async function queueOfflineRequest(url, data) {
-  const db = await openOfflineDB();
-  const tx = db.transaction('requests', 'readwrite');
-  const store = tx.objectStore('requests');
-  
-  await store.add({
-    url: url,
-    data: data,
-    timestamp: Date.now()
-  });
-}
-
-// Open IndexedDB for offline queue
-function openOfflineDB() {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open('AmbulanceOfflineDB', 1);
-    
-    request.onerror = () => reject(request.error);
-    request.onsuccess = () => resolve(request.result);
-    
-    request.onupgradeneeded = (event) => {
-      const db = event.target.result;
-      if (!db.objectStoreNames.contains('requests')) {
-        db.createObjectStore('requests', { keyPath: 'id', autoIncrement: true });
-      }
-    };
-  });
-}
-
-// Background Sync disabled - using manual sync instead
-// Note: Background Sync API may not be available in all browsers
-// We handle offline sync manually via connection monitoring
-
-// Process queued offline requests
+// Process queued offline requests (one item at a time, oldest first).
+// Single code path for the 'sync' and 'periodicsync' events and the SYNC_NOW message
 async function syncOfflineData() {
   try {
-    const db = await openOfflineDB();
-    const tx = db.transaction('requests', 'readwrite');
-    const store = tx.objectStore('requests');
-    const requests = await getAllFromStore(store);
-    
-    for (const req of requests) {
-      try {
-        await fetch(req.url, {
-          method: 'POST',
-          headers: { 'Content-Type': 'text/plain' },
-          body: req.data
-        });
-        
-        // Delete successful request
-        const deleteTx = db.transaction('requests', 'readwrite');
-        await deleteTx.objectStore('requests').delete(req.id);
-        
-        // Notify clients
-        self.clients.matchAll().then(clients => {
-          clients.forEach(client => {
-            client.postMessage({
-              type: 'SYNC_SUCCESS',
-              message: 'تم مزامنة البيانات بنجاح'
-            });
-          });
-        });
-      } catch (error) {
-        console.log('Sync failed for request:', req.id);
-      }
-    }
+    return await OfflineOutbox.drain({
+      onSent: (item, result) => notifyClients(OfflineOutbox.syncedMessage(item, result)),
+      // Permanent failure - item moved to the dead-letter store, tell the user why
+      onFailed: (item, reason) => notifyClients(OfflineOutbox.failedMessage(item, reason))
+    });
   } catch (error) {
     console.error('Sync error:', error);
+    return { sent: 0, deadLettered: 0, failed: true };
   }
 }
 
-// Helper to get all from IndexedDB store
-function getAllFromStore(store) {
-  return new Promise((resolve, reject) => {
-    const request = store.getAll();
-    request.onsuccess = () => resolve(request.result);
-    request.onerror = () => reject(request.error);
+// Background Sync - fires when the browser is online, even after the app was closed.
+// Browsers without it rely on the SYNC_NOW message from the pages.
+self.addEventListener('sync', event => {
+  if (event.tag !== OfflineOutbox.config.SYNC_TAG) return;
+
+  event.waitUntil(
+    syncOfflineData().then(async result => {
+      // Reject while items remain so the browser schedules another attempt
+      if (result.failed || (await OfflineOutbox.count()) > 0) {
+        throw new Error('Outbox not empty yet');
+      }
+    })
+  );
+});
+
+// Periodic Background Sync - catches items left behind when one-off sync gave up
+self.addEventListener('periodicsync', event => {
+  if (event.tag === OfflineOutbox.config.PERIODIC_SYNC_TAG) {
+    event.waitUntil(syncOfflineData());
+  }
+});
+
+// Post a message to every open page
+function notifyClients(message) {
+  return self.clients.matchAll().then(clients => {
+    clients.forEach(client => client.postMessage(message));
   });
 }
 
 // Activate event - Take control immediately and clean old caches
 self.addEventListener('activate', event => {
-  console.log('[SW] Activating Service Worker v27-force-update...');
+  console.log(`[SW] Activating Service Worker ${VERSION}...`);
   event.waitUntil(
     Promise.all([
       self.clients.claim(),
       caches.keys().then(cacheNames => {
-        const oldCaches = cacheNames.filter(cacheName => cacheName !== CACHE_NAME);
+        const currentCaches = [PRECACHE, RUNTIME];
+        const oldCaches = cacheNames.filter(cacheName => !currentCaches.includes(cacheName));
         if (oldCaches.length > 0) {
           console.log('[SW] Deleting old caches:', oldCaches);
         }
         return Promise.all(
           oldCaches.map(cacheName => caches.delete(cacheName))
         );
-      })
+      }),
+      cleanupPrecache()
     ])
     .then(() => {
       console.log('[SW] Activation complete - App updated!');
@@ -233,7 +349,7 @@ self.addEventListener('activate', event => {
           client.postMessage({
             type: 'SW_UPDATED',
             message: 'تم تحديث التطبيق بنجاح',
-            version: CACHE_NAME
+            version: VERSION
           });
         });
       });
@@ -243,7 +359,16 @@ self.addEventListener('activate', event => {
 
 // Listen for messages from clients
 self.addEventListener('message', event => {
+  // Sent by SessionManager on pages without OfflineOutbox - queued items are
+  // signed with the stored credentials of their owner
+  if (event.data && event.data.type === 'OUTBOX_SESSION') {
+    event.waitUntil(OfflineOutbox.setSession(event.data.session || null));
+  }
   if (event.data && event.data.type === 'SYNC_NOW') {
-    syncOfflineData();
+    event.waitUntil(syncOfflineData());
+  }
+  // Sent by AppUpdater once the user chose "update now"
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
   }
 });
@@ -0,0 +1,266 @@
+/**
+ * Sync Health - سجل الاتصال والمزامنة
+ * Rolling 7-day log of connectivity, outbox size and sync results on this device
+ *
+ * Loaded by the pages and by the service worker (importScripts), so syncs
+ * the worker runs while no page is open are recorded too.
+ *
+ * Features:
+ * 1. IndexedDB storage (AmbulanceHealthDB / events), pruned after 7 days
+ * 2. Connectivity samples from ConnectionMonitor (quality, latency,
+ *    bandwidth, circuit, outbox size)
+ * 3. Outbox events: queued, synced, retry later, dead-lettered
+ * 4. Per-device report (device id, summary, events, current outbox) as JSON
+ */
+
+const SyncHealth = {
+    // Configuration
+    config: {
+        DB_NAME: 'AmbulanceHealthDB',
+        DB_VERSION: 1,
+        STORE: 'events',
+        RETENTION_MS: 7 * 24 * 60 * 60 * 1000,  // Rolling 7 days
+        PRUNE_INTERVAL: 60 * 60 * 1000,         // Drop old events at most once an hour
+        DEVICE_KEY: 'deviceId',
+        // Payload fields kept with outbox events - enough to find a "lost" trip
+        TRIP_FIELDS: ['staffNumber', 'vehicleNumber', 'departureDate', 'departureTime', 'returnDate', 'returnTime']
+    },
+
+    _db: null,
+    _lastPrune: 0,
+
+    /**
+     * Open (once) the health database
+     */
+    open() {
+        if (this._db) return this._db;
+
+        this._db = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.config.DB_NAME, this.config.DB_VERSION);
+
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const db = request.result;
+                db.onversionchange = () => {
+                    db.close();
+                    this._db = null;
+                };
+                resolve(db);
+            };
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                if (!db.objectStoreNames.contains(this.config.STORE)) {
+                    const store = db.createObjectStore(this.config.STORE, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('timestamp', 'timestamp');
+                }
+            };
+        });
+
+        this._db.catch(() => { this._db = null; });
+        return this._db;
+    },
+
+    /**
+     * Run work against the events store, resolves with ctx.result on commit
+     */
+    async _withStore(mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.config.STORE, mode);
+            const ctx = { result: undefined };
+            tx.oncomplete = () => resolve(ctx.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Health transaction aborted'));
+            work(tx.objectStore(this.config.STORE), ctx);
+        });
+    },
+
+    /**
+     * Store one event. Never throws - logging must not break a sync.
+     * @param {string} type - 'sample' | 'queued' | 'synced' | 'retry' | 'dead'
+     * @param {object} detail - Event fields
+     */
+    async record(type, detail = {}) {
+        const event = {
+            ...detail,
+            type: type,
+            timestamp: Date.now(),
+            source: typeof window === 'undefined' ? 'worker' : 'page'
+        };
+        try {
+            await this._withStore('readwrite', (store) => {
+                store.add(event);
+            });
+            if (event.timestamp - this._lastPrune > this.config.PRUNE_INTERVAL) {
+                this._lastPrune = event.timestamp;
+                await this.prune();
+            }
+        } catch (e) {
+            console.warn('SyncHealth: Failed to record event', e);
+        }
+    },
+
+    /**
+     * Record a connectivity sample (ConnectionMonitor.getInfo() plus outbox size)
+     */
+    recordSample(info) {
+        return this.record('sample', {
+            online: !!info.isOnline,
+            quality: info.quality,
+            latency: info.latency || 0,
+            bandwidth: info.bandwidth || 0,
+            circuit: info.circuit || 'closed',
+            queued: info.queued || 0
+        });
+    },
+
+    /**
+     * Record what happened to an outbox item
+     * @param {string} type - 'queued' | 'synced' | 'retry' | 'dead'
+     * @param {object} item - Outbox item ({ id, action, data })
+     * @param {string} reason - Error for 'retry' / 'dead'
+     */
+    recordOutbox(type, item, reason) {
+        return this.record(type, {
+            queueId: item.id,
+            action: item.action || '',
+            trip: this._tripFields(item.data),
+            attempts: item.attempts || 0,
+            reason: reason || ''
+        });
+    },
+
+    /**
+     * Identify a trip without keeping the whole payload (destinations stay out)
+     */
+    _tripFields(data) {
+        let payload;
+        try {
+            payload = typeof data === 'string' ? JSON.parse(data) : (data || {});
+        } catch (e) {
+            return {};
+        }
+        const trip = {};
+        this.config.TRIP_FIELDS.forEach(field => {
+            if (payload[field]) trip[field] = payload[field];
+        });
+        return trip;
+    },
+
+    /**
+     * Events since a timestamp (oldest first)
+     */
+    async getEvents(since = 0) {
+        return this._withStore('readonly', (store, ctx) => {
+            store.index('timestamp').getAll(IDBKeyRange.lowerBound(since)).onsuccess = (event) => {
+                ctx.result = event.target.result || [];
+            };
+        });
+    },
+
+    /**
+     * Delete events older than the retention window
+     */
+    async prune() {
+        const cutoff = Date.now() - this.config.RETENTION_MS;
+        return this._withStore('readwrite', (store) => {
+            store.index('timestamp').openCursor(IDBKeyRange.upperBound(cutoff, true)).onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                cursor.delete();
+                cursor.continue();
+            };
+        });
+    },
+
+    /**
+     * Stable id for this browser, so exported reports can be told apart
+     */
+    getDeviceId() {
+        if (typeof localStorage === 'undefined') return '';
+        let id = localStorage.getItem(this.config.DEVICE_KEY);
+        if (!id) {
+            id = 'dev-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+            localStorage.setItem(this.config.DEVICE_KEY, id);
+        }
+        return id;
+    },
+
+    /**
+     * Totals over a list of events
+     */
+    summarize(events) {
+        const samples = events.filter(event => event.type === 'sample');
+        const online = samples.filter(sample => sample.online && sample.quality !== 'offline');
+        const latencies = online.map(sample => sample.latency).filter(Boolean);
+        const count = type => events.filter(event => event.type === type).length;
+
+        return {
+            samples: samples.length,
+            onlinePercent: samples.length ? Math.round(online.length / samples.length * 100) : null,
+            circuitOpenSamples: samples.filter(sample => sample.circuit && sample.circuit !== 'closed').length,
+            averageLatency: latencies.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+            maxQueued: samples.reduce((max, sample) => Math.max(max, sample.queued || 0), 0),
+            queued: count('queued'),
+            synced: count('synced'),
+            retries: count('retry'),
+            deadLettered: count('dead')
+        };
+    },
+
+    /**
+     * Full report for this device: summary, every event of the last 7 days
+     * and what is still waiting in the outbox
+     */
+    async getReport() {
+        const since = Date.now() - this.config.RETENTION_MS;
+        const events = await this.getEvents(since);
+
+        let outbox = [];
+        let deadLetters = [];
+        if (typeof OfflineOutbox !== 'undefined') {
+            try {
+                outbox = await OfflineOutbox.getAll();
+                deadLetters = await OfflineOutbox.getDeadLetters();
+            } catch (e) {
+                console.warn('SyncHealth: Failed to read outbox', e);
+            }
+        }
+        const describe = item => ({
+            id: item.id,
+            action: item.action,
+            trip: this._tripFields(item.data),
+            timestamp: item.timestamp,
+            attempts: item.attempts || 0,
+            lastError: item.lastError || item.reason || null
+        });
+
+        return {
+            deviceId: this.getDeviceId(),
+            userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : '',
+            generatedAt: new Date().toISOString(),
+            from: new Date(since).toISOString(),
+            summary: this.summarize(events),
+            outbox: outbox.map(describe),
+            deadLetters: deadLetters.map(describe),
+            events: events
+        };
+    },
+
+    /**
+     * Download the report as a JSON file named after the device
+     */
+    async exportReport() {
+        const report = await this.getReport();
+        const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `sync-health-${report.deviceId}-${report.generatedAt.replace(/[:.]/g, '-')}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        return report;
+    }
+};
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+/**
+ * Precache Manifest Builder - مولد قائمة ملفات التخزين المسبق
+ * Generates precache-manifest.js for sw.js from the files in the repository root
+ *
+ * Usage:
+ *   node tools/build-precache-manifest.js           Write precache-manifest.js
+ *   node tools/build-precache-manifest.js --check   Exit 1 if precache-manifest.js is out of date
+ *
+ * Features:
+ * 1. Every app file with a SHA-256 content hash (revision)
+ * 2. Shell files (HTML, JS, CSS, web manifests) marked as required
+ * 3. Manifest version derived from all revisions - names the runtime cache
+ * 4. Fails if a required shell file is missing
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUTPUT = 'precache-manifest.js';
+
+// Extensions served to the app
+const INCLUDE_EXTENSIONS = ['.html', '.js', '.css', '.json', '.png', '.xml'];
+
+// Files that must never be precached
+const EXCLUDE_FILES = [
+    'sw.js',            // The service worker itself
+    OUTPUT,             // Imported by sw.js, not cached
+    'og-image.html'     // Social preview generator, not part of the app
+];
+
+// Install fails if one of these cannot be downloaded; other files only warn
+const REQUIRED_EXTENSIONS = ['.html', '.js', '.css', '.json'];
+
+// Shell pages that must exist - a missing one fails the build
+const REQUIRED_FILES = [
+    'login.html',
+    'driver-interface.html',
+    'nurse-interface.html',
+    'admin-interface.html',
+    'settings-interface.html',
+    'offline-outbox.js',
+    'manifest.json'
+];
+
+function hashFile(file) {
+    return crypto.createHash('sha256')
+        .update(fs.readFileSync(path.join(ROOT, file)))
+        .digest('hex')
+        .slice(0, 16);
+}
+
+function listFiles() {
+    return fs.readdirSync(ROOT, { withFileTypes: true })
+        .filter(entry => entry.isFile())
+        .map(entry => entry.name)
+        .filter(name => INCLUDE_EXTENSIONS.includes(path.extname(name)))
+        .filter(name => !EXCLUDE_FILES.includes(name))
+        .sort();
+}
+
+function buildManifest() {
+    const files = listFiles();
+
+    const missing = REQUIRED_FILES.filter(name => !files.includes(name));
+    if (missing.length > 0) {
+        throw new Error(`Required shell files missing: ${missing.join(', ')}`);
+    }
+
+    const entries = files.map(name => ({
+        url: `./${name}`,
+        revision: hashFile(name),
+        required: REQUIRED_EXTENSIONS.includes(path.extname(name))
+    }));
+
+    const version = crypto.createHash('sha256')
+        .update(entries.map(entry => `${entry.url}:${entry.revision}`).join('\n'))
+        .digest('hex')
+        .slice(0, 12);
+
+    return { version, files: entries };
+}
+
+function render(manifest) {
+    const lines = manifest.files.map(entry =>
+        `    { url: '${entry.url}', revision: '${entry.revision}', required: ${entry.required} }`
+    );
+    return [
+        '// Generated by tools/build-precache-manifest.js - do not edit by hand.',
+        '// Run `node tools/build-precache-manifest.js` after changing any app file.',
+        'self.__PRECACHE_MANIFEST = {',
+        `  version: '${manifest.version}',`,
+        '  files: [',
+        lines.join(',\n'),
+        '  ]',
+        '};',
+        ''
+    ].join('\n');
+}
+
+function main() {
+    const output = render(buildManifest());
+    const outputPath = path.join(ROOT, OUTPUT);
+
+    if (process.argv.includes('--check')) {
+        const current = fs.existsSync(outputPath) ? fs.readFileSync(outputPath, 'utf8') : '';
+        if (current !== output) {
+            console.error(`${OUTPUT} is out of date - run: node tools/build-precache-manifest.js`);
+            process.exit(1);
+        }
+        console.log(`${OUTPUT} is up to date`);
+        return;
+    }
+
+    fs.writeFileSync(outputPath, output);
+    console.log(`Wrote ${OUTPUT}`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`build-precache-manifest: ${error.message}`);
+    process.exit(1);
+}